@@ -0,0 +1,385 @@
+/**
+ * API diff engine for generate-api-types.js --diff
+ *
+ * Reads the API surface (interfaces, enums, constants, aliases and their members)
+ * of generated declaration files, compares two surfaces member by member and
+ * formats the changes for the terminal or as Markdown. Removed symbols, members
+ * and overloads, narrowed or incompatible parameter types, new required
+ * parameters and calling convention changes are breaking. Declarations are
+ * global, so a symbol that moves to another module is only reported as moved.
+ */
+
+// ============================================================================
+// API Surface
+// ============================================================================
+
+/**
+ * @typedef {Object} SignatureInfo
+ * @property {string} text
+ * @property {string} key - Normalized signature, equal for `this: void` and `@noSelf` declarations
+ * @property {boolean} selfCall - Called with `:`, i.e. the function takes a self parameter
+ * @property {Array<{name: string, type: string, optional: boolean, rest: boolean}>} params - Without `this`
+ * @property {string} returnType
+ */
+
+/**
+ * @typedef {Object} MemberInfo
+ * @property {'method'|'field'} kind
+ * @property {string} [type] - Field type
+ * @property {boolean} [optional]
+ * @property {SignatureInfo[]} [signatures] - Method signatures, one per overload
+ */
+
+/**
+ * @typedef {Object} SymbolInfo
+ * @property {'interface'|'enum'|'const'|'alias'} kind
+ * @property {Map<string, MemberInfo>} members
+ * @property {string} [type] - Alias target
+ */
+
+/**
+ * @typedef {Object} DiffEntry
+ * @property {string} module
+ * @property {'breaking'|'changed'|'added'|'moved'} severity - `moved` is informational
+ * @property {string} symbol - `class` or `class.member`
+ * @property {string} change - Short label: removed, added, narrowed, ...
+ * @property {string} [detail]
+ */
+
+/**
+ * Read the API surface (interfaces, enums, constants, aliases) of a declaration file
+ * @param {string} text
+ * @param {string} fileName
+ * @returns {Map<string, SymbolInfo>}
+ */
+function extractApiSurface(text, fileName) {
+  const ts = require('typescript');
+  const sourceFile = ts.createSourceFile(fileName, text, ts.ScriptTarget.Latest, true);
+  const surface = new Map();
+  const getText = node => (node ? node.getText(sourceFile).replace(/\s+/g, ' ') : 'any');
+
+  const getSymbol = (name, kind) => {
+    if (!surface.has(name)) surface.set(name, { kind, members: new Map() });
+    return surface.get(name);
+  };
+
+  // `this: void` and members of `@noSelf` interfaces are both called with `.`, so
+  // the `this` parameter is dropped and only the calling convention is kept
+  const fileNoSelf = /@noSelfInFile\b/.test(text);
+  const hasNoSelfTag = node => ts.getJSDocTags(node).some(tag => tag.tagName.text === 'noSelf');
+
+  const toSignature = (node, noSelf) => {
+    const [first] = node.parameters;
+    const thisParam = first && getText(first.name) === 'this' ? first : null;
+    const params = node.parameters.filter(p => p !== thisParam).map(p => ({
+      name: getText(p.name),
+      type: getText(p.type),
+      optional: Boolean(p.questionToken),
+      rest: Boolean(p.dotDotDotToken),
+    }));
+    const selfCall = thisParam ? getText(thisParam.type) !== 'void' : !noSelf;
+    const typeParams = node.typeParameters ? `<${node.typeParameters.map(getText).join(', ')}>` : '';
+    const paramList = params.map(p => `${p.rest ? '...' : ''}${p.name}${p.optional ? '?' : ''}: ${p.type}`).join(', ');
+    return {
+      text: getText(node),
+      key: `${selfCall ? 'self ' : ''}${typeParams}(${paramList}): ${getText(node.type)}`,
+      selfCall,
+      params,
+      returnType: getText(node.type),
+    };
+  };
+
+  const addMembers = (symbol, members, noSelf = false) => {
+    for (const member of members) {
+      if (ts.isMethodSignature(member) || ts.isCallSignatureDeclaration(member)) {
+        const name = member.name ? getText(member.name).replace(/^"|"$/g, '') : '()';
+        const existing = symbol.members.get(name);
+        const info = existing && existing.kind === 'method' ? existing : { kind: 'method', signatures: [] };
+        info.signatures.push(toSignature(member, noSelf));
+        symbol.members.set(name, info);
+      } else if (ts.isPropertySignature(member)) {
+        symbol.members.set(getText(member.name), {
+          kind: 'field',
+          type: getText(member.type),
+          optional: Boolean(member.questionToken),
+        });
+      } else if (ts.isIndexSignatureDeclaration(member)) {
+        symbol.members.set(`[${getText(member.parameters[0].type)}]`, { kind: 'field', type: getText(member.type), optional: false });
+      }
+    }
+  };
+
+  for (const statement of sourceFile.statements) {
+    if (ts.isInterfaceDeclaration(statement)) {
+      addMembers(getSymbol(statement.name.text, 'interface'), statement.members, fileNoSelf || hasNoSelfTag(statement));
+    } else if (ts.isEnumDeclaration(statement)) {
+      const symbol = getSymbol(statement.name.text, 'enum');
+      for (const member of statement.members) {
+        symbol.members.set(getText(member.name), { kind: 'field', type: getText(member.initializer), optional: false });
+      }
+    } else if (ts.isTypeAliasDeclaration(statement)) {
+      // `type X = (typeof X)[keyof typeof X]` only accompanies an enum-like const
+      if (!surface.has(statement.name.text)) {
+        getSymbol(statement.name.text, 'alias').type = getText(statement.type);
+      }
+    } else if (ts.isVariableStatement(statement)) {
+      for (const decl of statement.declarationList.declarations) {
+        if (decl.type && ts.isTypeLiteralNode(decl.type)) {
+          const symbol = getSymbol(getText(decl.name), 'const');
+          symbol.kind = 'const';
+          addMembers(symbol, decl.type.members, fileNoSelf);
+        }
+      }
+    }
+  }
+  return surface;
+}
+
+// ============================================================================
+// Comparison
+// ============================================================================
+
+/**
+ * Split a TypeScript type at its top-level `|`
+ * @param {string} type
+ * @returns {string[]}
+ */
+function splitUnion(type) {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+
+  for (let i = 0; i < type.length; i++) {
+    const char = type[i];
+    if ('([{<'.includes(char)) { depth++; current += char; }
+    else if (')]}>'.includes(char)) { depth--; current += char; }
+    else if (char === '|' && depth === 0) { parts.push(current.trim()); current = ''; }
+    else { current += char; }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Split a TypeScript union into its members (top level only)
+ * @param {string} type
+ * @returns {Set<string>}
+ */
+function unionMembers(type) {
+  return new Set(splitUnion(type).map(t => t.replace(/^\((.*)\)$/, '$1').trim()));
+}
+
+/**
+ * Classify a parameter type change: `widened` accepts everything it used to,
+ * `narrowed` accepts a strict subset, anything else is `incompatible`
+ * @param {string} oldType
+ * @param {string} newType
+ * @returns {'widened'|'narrowed'|'incompatible'}
+ */
+function classifyTypeChange(oldType, newType) {
+  const oldMembers = unionMembers(oldType);
+  const newMembers = unionMembers(newType);
+  if (oldType === 'any' || newType === 'any' || [...oldMembers].every(t => newMembers.has(t))) {
+    return newType === 'any' || oldType !== 'any' ? 'widened' : 'narrowed';
+  }
+  if ([...newMembers].every(t => oldMembers.has(t))) return 'narrowed';
+  return 'incompatible';
+}
+
+/**
+ * Compare two signatures of a single-signature method
+ * @param {SignatureInfo} oldSig
+ * @param {SignatureInfo} newSig
+ * @param {(severity: string, change: string, detail: string) => void} report
+ */
+function diffSignature(oldSig, newSig, report) {
+  if (oldSig.selfCall !== newSig.selfCall) {
+    const convention = sig => (sig.selfCall ? 'method (`:`)' : 'function (`.`)');
+    report('breaking', 'calling convention changed', `${convention(oldSig)} -> ${convention(newSig)}`);
+  }
+
+  const count = Math.max(oldSig.params.length, newSig.params.length);
+  for (let i = 0; i < count; i++) {
+    const oldParam = oldSig.params[i];
+    const newParam = newSig.params[i];
+
+    if (!newParam) {
+      report('breaking', 'parameter removed', `\`${oldParam.name}: ${oldParam.type}\``);
+      continue;
+    }
+    if (!oldParam) {
+      const optional = newParam.optional || newParam.rest;
+      report(optional ? 'changed' : 'breaking', optional ? 'parameter added' : 'required parameter added',
+        `\`${newParam.name}: ${newParam.type}\``);
+      continue;
+    }
+    if (oldParam.type !== newParam.type) {
+      const kind = classifyTypeChange(oldParam.type, newParam.type);
+      const detail = `\`${newParam.name}\`: \`${oldParam.type}\` -> \`${newParam.type}\``;
+      if (kind === 'widened') report('changed', 'parameter widened', detail);
+      else report('breaking', kind === 'narrowed' ? 'parameter narrowed' : 'parameter type changed', detail);
+    }
+    if (oldParam.optional && !newParam.optional && !newParam.rest) {
+      report('breaking', 'parameter now required', `\`${newParam.name}\``);
+    }
+  }
+  if (oldSig.returnType !== newSig.returnType) {
+    report('changed', 'return type changed', `\`${oldSig.returnType}\` -> \`${newSig.returnType}\``);
+  }
+}
+
+/**
+ * Index the symbols of all modules by name
+ * @param {Map<string, Map<string, SymbolInfo>>} surfaces
+ * @returns {Map<string, {module: string, symbol: SymbolInfo}>}
+ */
+function indexSymbols(surfaces) {
+  const index = new Map();
+  for (const [module, surface] of surfaces) {
+    for (const [name, symbol] of surface) {
+      if (!index.has(name)) index.set(name, { module, symbol });
+    }
+  }
+  return index;
+}
+
+/**
+ * Compare two versions of a symbol member by member
+ * @param {string} name
+ * @param {SymbolInfo} oldSymbol
+ * @param {SymbolInfo} newSymbol
+ * @param {(severity: string, symbol: string, change: string, detail?: string) => void} add
+ */
+function diffSymbol(name, oldSymbol, newSymbol, add) {
+  if (oldSymbol.kind !== newSymbol.kind) {
+    add('changed', name, 'kind changed', `${oldSymbol.kind} -> ${newSymbol.kind}`);
+  }
+  if (oldSymbol.type !== newSymbol.type) {
+    add('changed', name, 'type changed', `\`${oldSymbol.type}\` -> \`${newSymbol.type}\``);
+  }
+
+  const members = [...new Set([...oldSymbol.members.keys(), ...newSymbol.members.keys()])].sort();
+  for (const memberName of members) {
+    const symbol = `${name}.${memberName}`;
+    const oldMember = oldSymbol.members.get(memberName);
+    const newMember = newSymbol.members.get(memberName);
+    if (!newMember) { add('breaking', symbol, `${oldMember.kind} removed`); continue; }
+    if (!oldMember) { add('added', symbol, `${newMember.kind} added`); continue; }
+
+    if (oldMember.kind !== newMember.kind) {
+      add('breaking', symbol, 'kind changed', `${oldMember.kind} -> ${newMember.kind}`);
+    } else if (oldMember.kind === 'field') {
+      if (oldMember.type !== newMember.type) {
+        add('changed', symbol, 'type changed', `\`${oldMember.type}\` -> \`${newMember.type}\``);
+      }
+      if (oldMember.optional !== newMember.optional) {
+        add('changed', symbol, newMember.optional ? 'now optional' : 'now required');
+      }
+    } else if (oldMember.signatures.length === 1 && newMember.signatures.length === 1) {
+      diffSignature(oldMember.signatures[0], newMember.signatures[0],
+        (severity, change, detail) => add(severity, symbol, change, detail));
+    } else {
+      const oldKeys = new Set(oldMember.signatures.map(sig => sig.key));
+      const newKeys = new Set(newMember.signatures.map(sig => sig.key));
+      for (const sig of oldMember.signatures) {
+        if (!newKeys.has(sig.key)) add('breaking', symbol, 'overload removed', `\`${sig.text}\``);
+      }
+      for (const sig of newMember.signatures) {
+        if (!oldKeys.has(sig.key)) add('changed', symbol, 'overload added', `\`${sig.text}\``);
+      }
+    }
+  }
+}
+
+/**
+ * Compare old and new API surfaces. Removed symbols, members and overloads,
+ * narrowed or incompatible parameter types and new required parameters are breaking.
+ * Symbols are matched by name across modules; changes to a symbol that moved
+ * are listed under its new module.
+ * @param {Map<string, Map<string, SymbolInfo>>} oldSurfaces
+ * @param {Map<string, Map<string, SymbolInfo>>} newSurfaces
+ * @returns {DiffEntry[]}
+ */
+function diffApiSurfaces(oldSurfaces, newSurfaces) {
+  const entries = [];
+  const modules = [...new Set([...oldSurfaces.keys(), ...newSurfaces.keys()])].sort();
+  const oldIndex = indexSymbols(oldSurfaces);
+  const newIndex = indexSymbols(newSurfaces);
+
+  for (const module of modules) {
+    const oldSurface = oldSurfaces.get(module);
+    const newSurface = newSurfaces.get(module);
+    const add = (severity, symbol, change, detail) => entries.push({ module, severity, symbol, change, detail });
+
+    if (!newSurface) add('breaking', '(module)', 'module removed');
+    if (!oldSurface) add('added', '(module)', 'module added');
+
+    // Each symbol is compared once, in the module that declares it now. Symbols of
+    // added and removed modules are only listed when they moved.
+    const names = [...new Set([...(oldSurface ? oldSurface.keys() : []), ...(newSurface ? newSurface.keys() : [])])].sort();
+    for (const name of names) {
+      const oldEntry = oldIndex.get(name);
+      const newEntry = newIndex.get(name);
+      if (newEntry && newEntry.module !== module) continue;
+      if (!newEntry) {
+        if (newSurface && oldEntry.module === module) add('breaking', name, `${oldEntry.symbol.kind} removed`);
+        continue;
+      }
+      if (!oldEntry) {
+        if (oldSurface) add('added', name, `${newEntry.symbol.kind} added`);
+        continue;
+      }
+      if (oldEntry.module !== module) add('moved', name, 'moved', `from ${oldEntry.module}`);
+      diffSymbol(name, oldEntry.symbol, newEntry.symbol, add);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Format diff entries for the terminal or as Markdown
+ * @param {DiffEntry[]} entries
+ * @param {'text'|'markdown'} format
+ * @param {string} baselineLabel
+ * @returns {string}
+ */
+function formatApiDiff(entries, format, baselineLabel) {
+  const count = severity => entries.filter(e => e.severity === severity).length;
+  const summary = `${count('breaking')} breaking, ${count('changed')} changed, ${count('added')} added, ${count('moved')} moved`;
+  const modules = [...new Set(entries.map(e => e.module))];
+  const lines = [];
+
+  if (format === 'markdown') {
+    lines.push('# Sylvanas API diff', '');
+    lines.push(`Compared against: \`${baselineLabel}\``, '');
+    lines.push(`**${summary}**`, '');
+    const icons = { breaking: ':x:', changed: ':warning:', added: ':heavy_plus_sign:', moved: ':arrow_right:' };
+    for (const module of modules) {
+      lines.push(`## \`${module}\``, '');
+      lines.push('| | Member | Change | Details |');
+      lines.push('|---|---|---|---|');
+      for (const e of entries.filter(entry => entry.module === module)) {
+        const detail = (e.detail || '').replace(/\|/g, '\\|');
+        lines.push(`| ${icons[e.severity]} | \`${e.symbol}\` | ${e.change} | ${detail} |`);
+      }
+      lines.push('');
+    }
+    if (entries.length === 0) lines.push('No API changes.');
+    return lines.join('\n');
+  }
+
+  const marks = { breaking: 'BREAKING', changed: 'changed ', added: 'added   ', moved: 'moved   ' };
+  lines.push(`API diff against ${baselineLabel}`);
+  lines.push(`${summary}`);
+  for (const module of modules) {
+    lines.push('', module);
+    for (const e of entries.filter(entry => entry.module === module)) {
+      const detail = e.detail ? `: ${e.detail.replace(/`/g, '')}` : '';
+      lines.push(`  ${marks[e.severity]}  ${e.symbol} - ${e.change}${detail}`);
+    }
+  }
+  if (entries.length === 0) lines.push('', 'No API changes.');
+  return lines.join('\n');
+}
+
+module.exports = { extractApiSurface, diffApiSurfaces, formatApiDiff };
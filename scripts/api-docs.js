@@ -0,0 +1,206 @@
+/**
+ * HTML API reference renderer for generate-api-types.js --docs
+ *
+ * Renders the modules collected by the generator as one self-contained page:
+ * a module index, every type with its members and cross-links between type
+ * names, and a search box over types and members.
+ */
+
+// ============================================================================
+// Reference Model
+// ============================================================================
+
+/**
+ * @typedef {Object} DocMember
+ * @property {string} name
+ * @property {'field'|'method'|'value'} kind
+ * @property {string[]} signatures - TypeScript type (fields, values) or call signatures (methods)
+ * @property {string} [description]
+ */
+
+/**
+ * @typedef {Object} DocType
+ * @property {string} name
+ * @property {'interface'|'enum'|'alias'} kind
+ * @property {string} [description]
+ * @property {string[]} parents
+ * @property {DocMember[]} members
+ */
+
+/**
+ * @typedef {Object} DocModule
+ * @property {string} modulePath
+ * @property {string} file
+ * @property {string|null} mainExport
+ * @property {DocType[]} types
+ */
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+/**
+ * Escape text for HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape a TypeScript type for HTML and link every documented type name in it.
+ * Names followed by `:` are parameter or property names and stay plain.
+ * @param {string} tsType
+ * @param {Set<string>} knownTypes
+ * @returns {string}
+ */
+function linkTypeNames(tsType, knownTypes) {
+  return escapeHtml(tsType).replace(/(?<![\w.$&])([A-Za-z_]\w*)(?!\w|\??:)/g, (match, name) =>
+    (knownTypes.has(name) ? `<a href="#${docAnchor(name)}">${name}</a>` : match));
+}
+
+/**
+ * Anchor id of a documented type or member
+ * @param {string} typeName
+ * @param {string} [memberName]
+ * @returns {string}
+ */
+function docAnchor(typeName, memberName) {
+  const id = memberName ? `type-${typeName}-${memberName.replace(/\?$/, '')}` : `type-${typeName}`;
+  return id.replace(/[^\w-]/g, '_');
+}
+
+/**
+ * Render the API reference as a single self-contained HTML page with a module
+ * index, cross-linked types and a search box
+ * @param {DocModule[]} docModules
+ * @returns {string}
+ */
+function renderDocsHtml(docModules) {
+  const knownTypes = new Set(docModules.flatMap(m => m.types.map(t => t.name)));
+  const searchIndex = [];
+  const nav = [];
+  const body = [];
+
+  for (const docModule of docModules) {
+    const moduleAnchor = `module-${docModule.modulePath.replace(/\//g, '-')}`;
+    searchIndex.push({ label: docModule.modulePath, kind: 'module', anchor: moduleAnchor });
+
+    nav.push(`<li><a href="#${moduleAnchor}">${escapeHtml(docModule.modulePath)}</a><ul>`);
+    nav.push(...docModule.types.map(type => `<li><a href="#${docAnchor(type.name)}">${escapeHtml(type.name)}</a></li>`));
+    nav.push(`</ul></li>`);
+
+    body.push(`<section class="module" id="${moduleAnchor}">`);
+    body.push(`<h2>${escapeHtml(docModule.modulePath)}</h2>`);
+    body.push(`<p class="meta">Source: <code>${escapeHtml(docModule.file)}</code></p>`);
+    if (docModule.mainExport) {
+      body.push(`<pre>import * as ${escapeHtml(docModule.mainExport)} from "${escapeHtml(docModule.modulePath)}";</pre>`);
+    }
+
+    for (const type of docModule.types) {
+      searchIndex.push({ label: type.name, kind: type.kind, anchor: docAnchor(type.name), module: docModule.modulePath });
+
+      body.push(`<article class="type" id="${docAnchor(type.name)}">`);
+      const heritage = type.kind === 'alias'
+        ? ` = ${linkTypeNames(type.parents[0], knownTypes)}`
+        : type.parents.length > 0 ? ` extends ${type.parents.map(p => linkTypeNames(p, knownTypes)).join(', ')}` : '';
+      body.push(`<h3><span class="kind">${type.kind}</span> ${escapeHtml(type.name)}<code>${heritage}</code></h3>`);
+      if (type.description) body.push(`<p>${escapeHtml(type.description)}</p>`);
+
+      if (type.members.length > 0) {
+        body.push(`<dl>`);
+        for (const member of type.members) {
+          const anchor = docAnchor(type.name, member.name);
+          if (member.kind !== 'value' || type.kind === 'enum') {
+            searchIndex.push({ label: `${type.name}.${member.name.replace(/\?$/, '')}`, kind: member.kind, anchor, module: docModule.modulePath });
+          }
+          const signatures = member.kind === 'method'
+            ? member.signatures.map(sig => `<code>${escapeHtml(member.name)}${linkTypeNames(sig, knownTypes)}</code>`)
+            : member.kind === 'field'
+              ? [`<code>${escapeHtml(member.name)}: ${linkTypeNames(member.signatures[0], knownTypes)}</code>`]
+              : [`<code>${linkTypeNames(member.name, knownTypes)}${member.signatures.length > 0 ? ` = ${escapeHtml(member.signatures[0])}` : ''}</code>`];
+          body.push(`<dt id="${anchor}">${signatures.join('<br>')}</dt>`);
+          body.push(`<dd>${member.description ? escapeHtml(member.description) : ''}</dd>`);
+        }
+        body.push(`</dl>`);
+      }
+      body.push(`</article>`);
+    }
+    body.push(`</section>`);
+  }
+
+  // Keep `</script>` out of the embedded index
+  const indexJson = JSON.stringify(searchIndex).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Sylvanas API Reference</title>
+<style>
+  body { margin: 0; font: 14px/1.5 system-ui, sans-serif; color: #222; display: flex; }
+  nav { width: 280px; height: 100vh; overflow-y: auto; position: sticky; top: 0; padding: 12px; box-sizing: border-box; background: #f5f5f7; border-right: 1px solid #ddd; }
+  nav ul { list-style: none; margin: 0; padding-left: 12px; }
+  nav > ul { padding-left: 0; }
+  nav a { color: #333; text-decoration: none; }
+  nav a:hover { text-decoration: underline; }
+  main { flex: 1; padding: 16px 32px; max-width: 1100px; }
+  input[type=search] { width: 100%; padding: 6px; box-sizing: border-box; margin-bottom: 8px; }
+  #results a { display: block; padding: 2px 0; }
+  #results small { color: #888; }
+  .module { border-top: 2px solid #ccc; margin-top: 24px; }
+  .meta { color: #666; }
+  .kind { color: #888; font-weight: normal; font-size: 0.8em; }
+  h3 code { font-weight: normal; }
+  dt { margin-top: 8px; }
+  dd { margin-left: 24px; color: #555; }
+  code, pre { font-family: ui-monospace, Consolas, monospace; }
+  pre { background: #f5f5f7; padding: 8px; }
+  a { color: #0b5cad; }
+  :target { background: #fff6cc; }
+</style>
+</head>
+<body>
+<nav>
+  <input type="search" id="search" placeholder="Search types and members..." autocomplete="off">
+  <div id="results"></div>
+  <ul id="modules">
+${nav.join('\n')}
+  </ul>
+</nav>
+<main>
+<h1>Sylvanas API Reference</h1>
+${body.join('\n')}
+</main>
+<script>
+  const index = ${indexJson};
+  const search = document.getElementById('search');
+  const results = document.getElementById('results');
+  const modules = document.getElementById('modules');
+  search.addEventListener('input', () => {
+    const query = search.value.trim().toLowerCase();
+    modules.style.display = query ? 'none' : '';
+    results.innerHTML = '';
+    if (!query) return;
+    const matches = index
+      .filter(entry => entry.label.toLowerCase().includes(query))
+      .sort((a, b) => a.label.toLowerCase().indexOf(query) - b.label.toLowerCase().indexOf(query) || a.label.length - b.label.length)
+      .slice(0, 100);
+    for (const entry of matches) {
+      const link = document.createElement('a');
+      link.href = '#' + entry.anchor;
+      link.textContent = entry.label + ' ';
+      const detail = document.createElement('small');
+      detail.textContent = entry.kind + (entry.module ? ' - ' + entry.module : '');
+      link.appendChild(detail);
+      results.appendChild(link);
+    }
+  });
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderDocsHtml };
@@ -0,0 +1,28 @@
+/**
+ * Event overrides for generate-api-types.js
+ *
+ * Every `on_<event>` function taking a callback is an event registration. Its
+ * payload (the callback's first argument) becomes a `<class>_<event>_event`
+ * type, listed in `<class>_event_map`. The payload is taken from the callback
+ * annotation; list an event here when the API only types it as `table`/`any`.
+ * Entries are keyed by module path, then registration name:
+ *
+ *   'module/path': {
+ *     on_event: {
+ *       payload: { unit: 'game_object', 'stacks?': 'integer' }, // payload interface fields
+ *       returns: 'fun()',                                         // replacement return type
+ *     },
+ *     on_other: { payload: 'number|string' },                   // payload type
+ *   }
+ *
+ * Types are LuaCATS, converted like the API's own. Events with no payload type
+ * get an open interface and a warning; rotations can declare the fields they
+ * use by merging into that interface until the payload is described here.
+ */
+
+module.exports = {
+  'common/izi_sdk': {
+    // Receives the key that was released, not an event object
+    on_key_release: { payload: 'number|string' },
+  },
+};
@@ -0,0 +1,90 @@
+/**
+ * Module overrides for generate-api-types.js
+ *
+ * Every .lua file under API_DIR is discovered automatically. Its module path is
+ * the file path without the extension (common/modules/buff_manager.lua becomes
+ * "common/modules/buff_manager") and its main export is read from `---@type X`
+ * or the trailing `return X` of the file.
+ *
+ * Only list modules here that need something else. Entries are keyed by module
+ * path and merged on top of the discovered config:
+ *
+ *   file             Source file relative to API_DIR. A file claimed by an entry
+ *                    is not also discovered under its own path.
+ *   mainExport       Interface used as the module's default export, or null for
+ *                    files that only declare global types.
+ *   filterClasses    Only include classes matching these patterns (trailing * wildcard).
+ *   declareGlobalVar Also emit `declare const X: X;` for the main export.
+ *   noSelf           Which classes become `/** @noSelf *\/` interfaces, so their dot-notation
+ *                    functions need no `this: void`: 'auto' (default) for classes with only
+ *                    dot functions, true for every class with dot functions, false for none.
+ *                    Colon methods always keep their explicit `this: Class`.
+ *   catalog          Also emit the file's data table (name -> ID, nested by class or spec)
+ *                    as `export const <catalog> = { ... } as const` in
+ *                    TYPES_OUTPUT_DIR/catalogs/<file>.ts, listed in catalogs/catalog.json.
+ *   runtimeOnly      A module Sylvanas provides at runtime whose classes other entries
+ *                    declare. It gets no declaration file, but is listed in
+ *                    scripts/external-modules.json, so rotations may require it.
+ *
+ * Set an entry to false to skip a discovered file entirely.
+ */
+
+module.exports = {
+  // =========================================================================
+  // Geometry
+  // =========================================================================
+  'common/geometry/vector_2': {
+    file: 'common/geometry/vec2.lua',
+    mainExport: 'vec2',
+  },
+  'common/geometry/vector_3': {
+    file: 'common/geometry/vec3.lua',
+    mainExport: 'vec3',
+  },
+  // geometry.lua declares three runtime modules
+  'common/geometry/circle': {
+    file: 'common/geometry/geometry.lua',
+    mainExport: 'circle',
+    filterClasses: ['circle', 'circle_*'],
+  },
+  'common/geometry/rectangle': {
+    file: 'common/geometry/geometry.lua',
+    mainExport: 'rectangle',
+    filterClasses: ['rectangle', 'rectangle_*'],
+  },
+  'common/geometry/cone': {
+    file: 'common/geometry/geometry.lua',
+    mainExport: 'cone',
+    filterClasses: ['cone', 'cone_*'],
+  },
+  'common/geometry/geometry': {
+    runtimeOnly: true,
+  },
+
+  // =========================================================================
+  // Common Base
+  // =========================================================================
+  'common/enums': {
+    mainExport: null, // Pure global type definitions
+  },
+  'common/izi_sdk': {
+    mainExport: 'izi_api',
+  },
+  // Data tables, also emitted as ID catalogs
+  'common/buff_db': {
+    catalog: 'Buffs',
+  },
+  'common/talents_id': {
+    catalog: 'Talents',
+  },
+
+  // =========================================================================
+  // Core globals - available everywhere + importable
+  // =========================================================================
+  'menu': {
+    declareGlobalVar: true,
+  },
+  'core': {
+    declareGlobalVar: true,
+  },
+};
@@ -0,0 +1,34 @@
+/**
+ * Type patches for generate-api-types.js
+ *
+ * Corrections for members whose API annotations are wrong or too loose to
+ * generate a usable declaration from. Patches are keyed by module path, then
+ * class name, then member name:
+ *
+ *   'module/path': {
+ *     class_name: {
+ *       method: '(this: void, x: number): boolean',    // replacement signature
+ *       method2: ['(x: number): T', '(x: string): T'], // several overloads
+ *       field: 'number | null',                        // replacement field type
+ *     },
+ *     '*': { ... },      // any class of the module that has the member
+ *     '@alias': { ... }, // type aliases: name -> replacement type
+ *   }
+ *
+ * A class declared in several API files is emitted once, by its owning module
+ * (see buildClassIndex), so its patches go under that module.
+ *
+ * Event registrations (`on_*`) are typed from scripts/api-events.js instead.
+ *
+ * Replacements are TypeScript, emitted as-is. The generator warns about every
+ * patch that no longer matches a member, so stale entries get noticed.
+ */
+
+module.exports = {
+  'common/izi_sdk': {
+    '*': {
+      // The API documents a vec3 direction and an angle, the runtime takes neither
+      cone: 'cone | ((this: void, origin: vec3, direction: number, range: number) => cone)',
+    },
+  },
+};
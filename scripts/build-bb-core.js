@@ -9,36 +9,23 @@
  *
  * Options:
  *   --deploy    Also copy bb_core to SYLVANAS_SCRIPTS_DIR (for debug builds)
+ *
+ * Config overrides (--profile <name>, --project-dir <path>, ...) are described
+ * in load-config.js.
  */
 
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { loadConfig, printConfig, listScriptArgs } = require('./load-config');
 
 // ============================================================================
 // Configuration
 // ============================================================================
 
-const localConfigPath = path.join(__dirname, 'config.local.js');
-const defaultConfigPath = path.join(__dirname, 'config.js');
-
-let config;
-if (fs.existsSync(localConfigPath)) {
-  config = require(localConfigPath);
-} else if (fs.existsSync(defaultConfigPath)) {
-  config = require(defaultConfigPath);
-} else {
-  console.error('ERROR: No config file found. Create scripts/config.local.js with your paths.');
-  process.exit(1);
-}
-
+const config = loadConfig({ required: ['PROJECT_DIR'], optional: ['SYLVANAS_SCRIPTS_DIR'] });
 const { PROJECT_DIR, SYLVANAS_SCRIPTS_DIR } = config;
 
-if (!PROJECT_DIR) {
-  console.error('ERROR: PROJECT_DIR must be set in config file.');
-  process.exit(1);
-}
-
 // Derived paths
 const SRC_DIR = path.join(PROJECT_DIR, 'src');
 const DIST_DIR = path.join(PROJECT_DIR, 'dist');
@@ -78,11 +65,13 @@ function copyLuaFiles(src, dest) {
 // ============================================================================
 
 function main() {
-  const args = process.argv.slice(2);
+  const args = listScriptArgs();
   const deployMode = args.includes('--deploy');
 
   console.log('BB Core Builder');
   console.log('===============\n');
+  printConfig(config);
+  console.log('');
 
   // Check if bb_core exists
   if (!fs.existsSync(BB_CORE_LUA_SRC) && !fs.existsSync(BB_CORE_TS_SRC)) {
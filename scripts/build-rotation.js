@@ -6,109 +6,115 @@
  *
  * Options:
  *   --debug    Skip bundling, copy Lua files as-is (for debugging)
+ *   --watch    Build, then rebuild and redeploy whatever a change in src/ affects
+ *   --jobs=N   Build up to N rotations at once (default: number of CPUs)
+ *
+ * Paths come from scripts/config.local.js and can be overridden per run with
+ * --profile <name>, environment variables or options (see load-config.js).
  *
  * Examples:
  *   node scripts/build-rotation.js                         # Build all rotations
  *   node scripts/build-rotation.js ext_rotation_template   # Build specific rotation
  *   node scripts/build-rotation.js --debug                 # Debug build all
  *   node scripts/build-rotation.js --debug ext_rotation_template  # Debug build one
+ *   node scripts/build-rotation.js --watch --debug         # Watch all, unbundled
  */
 
 const { bundle } = require('luabundle');
 const { execSync } = require('child_process');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const util = require('util');
+const ts = require('typescript');
+const tstl = require('typescript-to-lua');
+const { loadConfig, printConfig, listConfigArgs, listScriptArgs } = require('./load-config');
 
 // ============================================================================
 // Configuration
 // ============================================================================
 
-const localConfigPath = path.join(__dirname, 'config.local.js');
-const defaultConfigPath = path.join(__dirname, 'config.js');
-
-let config;
-if (fs.existsSync(localConfigPath)) {
-  config = require(localConfigPath);
-} else if (fs.existsSync(defaultConfigPath)) {
-  config = require(defaultConfigPath);
-} else {
-  console.error('ERROR: No config file found. Create scripts/config.local.js with your paths.');
-  process.exit(1);
-}
-
+const config = loadConfig({ required: ['PROJECT_DIR', 'SYLVANAS_SCRIPTS_DIR'] });
 const { PROJECT_DIR, SYLVANAS_SCRIPTS_DIR } = config;
 
-if (!PROJECT_DIR || !SYLVANAS_SCRIPTS_DIR) {
-  console.error('ERROR: PROJECT_DIR and SYLVANAS_SCRIPTS_DIR must be set in config file.');
-  process.exit(1);
-}
-
 // Derived paths
 const SRC_DIR = path.join(PROJECT_DIR, 'src');
 const DIST_DIR = path.join(PROJECT_DIR, 'dist');
+const BB_CORE_SOURCES = ['ext_plugin_bb_core', 'ext_plugin_bb_core_lua'];
+const BB_CORE_BUILD_SCRIPT = path.join(__dirname, 'build-bb-core.js');
+
+// A rotation's main transpile also emits what it imports from outside its
+// folder (bb_core, shared code). Those files go to dist/.imports/<rotation>/
+// rather than dist/, so parallel builds never write the same file.
+const IMPORTS_DIR = path.join(DIST_DIR, '.imports');
+
+/**
+ * Steps of buildRotation:
+ *   header  transpile header.ts, then copy and fix header.lua
+ *   main    transpile the rotation
+ *   bundle  bundle main.lua (or copy the Lua files in debug mode)
+ * Copying into SYLVANAS_SCRIPTS_DIR is part of the header and bundle steps.
+ */
+const BUILD_STEPS = ['header', 'main', 'bundle'];
 
-// External modules that should NOT be bundled (loaded at runtime by Sylvanas)
-const EXTERNAL_MODULES = [
-  // Geometry
-  'common/geometry/vector_2',
-  'common/geometry/vector_3',
-  'common/geometry/geometry',
-  'common/geometry/circle',
-  'common/geometry/rectangle',
-  'common/geometry/cone',
-
-  // Common base
-  'common/color',
-  'common/enums',
-  'common/buff_db',
-  'common/unit_manager',
-  'common/spell_attributes',
-  'common/talents_id',
-  'common/wow_api_clone',
-  'common/ow_menu_api',
-  'common/izi_sdk',
-
-  // Modules
-  'common/modules/settings_manager',
-  'common/modules/combat_forecast',
-  'common/modules/spell_queue',
-  'common/modules/spell_prediction',
-  'common/modules/profiler',
-  'common/modules/buff_manager',
-  'common/modules/health_prediction',
-  'common/modules/target_selector',
-
-  // Utilities
-  'common/utility/control_panel_helper',
-  'common/utility/plugin_helper',
-  'common/utility/unit_helper',
-  'common/utility/auto_attack_helper',
-  'common/utility/key_helper',
-  'common/utility/spell_helper',
-  'common/utility/spell_sequence_helper',
-  'common/utility/graphics_helper',
-  'common/utility/movement_handler',
-  'common/utility/simple_movement',
-  'common/utility/coords_helper',
-  'common/utility/cooldown_tracker',
-  'common/utility/dungeons_helper',
-  'common/utility/evade_helper',
-  'common/utility/fish_helper',
-  'common/utility/inventory_helper',
-  'common/utility/pet_handler',
-  'common/utility/pvp_helper',
-  'common/utility/wigs_tracker',
-  'common/utility/ui_buttons_info',
-  'common/utility/assets_helper',
-  'common/utility/icons_helper',
-  'common/utility/dispel_external_filters_helper',
-  'common/utility/kick_external_filters_helper',
-];
+// Changes arriving within this window are rebuilt together
+const WATCH_DEBOUNCE_MS = 200;
+
+// Modules Sylvanas provides at runtime, checked against the API by generate-api-types.js.
+// They are left out of bundles; any other `common/*` require fails the build.
+const MODULE_REGISTRY_PATH = path.join(__dirname, 'external-modules.json');
+
+if (!fs.existsSync(MODULE_REGISTRY_PATH)) {
+  console.error(`ERROR: Module registry not found at ${MODULE_REGISTRY_PATH}. Restore it from git, or create it with npm run generate-types -- --update-registry.`);
+  process.exit(1);
+}
+
+const EXTERNAL_MODULES = JSON.parse(fs.readFileSync(MODULE_REGISTRY_PATH, 'utf8')).modules;
 
 // ============================================================================
 // Helper Functions
 // ============================================================================
 
+// Watch mode rebuilds print one status line instead of the step log
+let quiet = false;
+
+// Build workers collect their output here, so parallel builds don't interleave
+let capturedOutput = null;
+
+function log(...args) {
+  if (quiet) return;
+  if (capturedOutput) {
+    capturedOutput.push({ error: false, text: util.format(...args) });
+  } else {
+    console.log(...args);
+  }
+}
+
+/**
+ * Like log, but for errors, which are printed even when quiet
+ */
+function logError(...args) {
+  if (capturedOutput) {
+    capturedOutput.push({ error: true, text: util.format(...args) });
+  } else {
+    console.error(...args);
+  }
+}
+
+/**
+ * Print output collected by a build worker
+ */
+function printOutput(output) {
+  for (const { error, text } of output) {
+    (error ? console.error : console.log)(text);
+  }
+}
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
 /**
  * Copy directory recursively (only .lua files)
  */
@@ -131,12 +137,55 @@ function copyLuaFiles(src, dest) {
   }
 }
 
+/**
+ * Find `common/*` requires in Lua code that name no runtime module
+ * @param {string} content - Lua source
+ * @returns {{ name: string, line: number }[]}
+ */
+function findUnknownRuntimeRequires(content) {
+  const unknown = [];
+  for (const match of content.matchAll(/\brequire\s*\(?\s*["']([^"']+)["']/g)) {
+    const name = match[1];
+    if (name.startsWith('common/') && !EXTERNAL_MODULES.includes(name)) {
+      unknown.push({ name, line: content.slice(0, match.index).split('\n').length });
+    }
+  }
+  return unknown;
+}
+
+/**
+ * Throw if a Lua module requires a `common/*` path that isn't in the module registry
+ * @param {string} moduleName - Module or file name, for the message
+ * @param {string} content - Lua source
+ */
+function checkRuntimeRequires(moduleName, content) {
+  const [unknown] = findUnknownRuntimeRequires(content);
+  if (unknown) {
+    throw new Error(
+      `${moduleName}:${unknown.line} requires "${unknown.name}", which is not a Sylvanas runtime module. ` +
+      `Known modules are listed in ${path.relative(path.dirname(__dirname), MODULE_REGISTRY_PATH)} (updated with npm run generate-types -- --update-registry).`
+    );
+  }
+}
+
+/**
+ * Check the requires of every Lua file in a directory, see checkRuntimeRequires
+ */
+function checkRuntimeRequiresInDir(dir) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true, recursive: true })) {
+    if (entry.isFile() && entry.name.endsWith('.lua')) {
+      const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+      checkRuntimeRequires(path.relative(dir, filePath), fs.readFileSync(filePath, 'utf8'));
+    }
+  }
+}
+
 /**
  * Fix header.lua export for Sylvanas loader
  */
 function fixHeaderExport(filePath) {
   if (!fs.existsSync(filePath)) {
-    console.log('   WARNING: header.lua not found at', filePath);
+    log('   WARNING: header.lua not found at', filePath);
     return;
   }
 
@@ -152,9 +201,9 @@ return setmetatable(plugin, { __index = ____exports })`
 
   if (content !== originalContent) {
     fs.writeFileSync(filePath, content);
-    console.log('   Fixed header.lua export');
+    log('   Fixed header.lua export');
   } else {
-    console.log('   header.lua already in correct format');
+    log('   header.lua already in correct format');
   }
 }
 
@@ -177,27 +226,130 @@ function discoverRotations() {
   return rotations;
 }
 
+// ============================================================================
+// TypeScript-to-Lua
+// ============================================================================
+
+/**
+ * Parsed source files shared by every program this process creates. The header
+ * and main programs of all rotations load the same lib files, lua-types and
+ * src/types, so each is only parsed once. Entries remember the file's mtime
+ * and are reparsed after a change, which keeps watch rebuilds correct.
+ * @type {Map<string, { mtime: number, sourceFile: ts.SourceFile }>}
+ */
+const sourceFileCache = new Map();
+
+/**
+ * Compiler host that reads source files through sourceFileCache
+ */
+function createCachingHost(options) {
+  const host = ts.createCompilerHost(options);
+  const getSourceFile = host.getSourceFile;
+
+  host.getSourceFile = (fileName, languageVersionOrOptions, onError, shouldCreateNewSourceFile) => {
+    const version = typeof languageVersionOrOptions === 'object'
+      ? `${languageVersionOrOptions.languageVersion}:${languageVersionOrOptions.impliedNodeFormat}`
+      : languageVersionOrOptions;
+    const key = `${version}|${fileName}`;
+
+    let mtime;
+    try {
+      mtime = fs.statSync(fileName).mtimeMs;
+    } catch {
+      return getSourceFile(fileName, languageVersionOrOptions, onError, shouldCreateNewSourceFile);
+    }
+
+    const cached = sourceFileCache.get(key);
+    if (cached && cached.mtime === mtime && !shouldCreateNewSourceFile) {
+      return cached.sourceFile;
+    }
+
+    const sourceFile = getSourceFile(fileName, languageVersionOrOptions, onError, shouldCreateNewSourceFile);
+    if (sourceFile) {
+      sourceFileCache.set(key, { mtime, sourceFile });
+    }
+    return sourceFile;
+  };
+
+  return host;
+}
+
+/**
+ * Emit callback that writes files below `ownDir` as usual and moves every
+ * other output of the program from DIST_DIR to `importsDir`
+ * @returns {ts.WriteFileCallback}
+ */
+function redirectImports(ownDir, importsDir) {
+  return (fileName, data, writeByteOrderMark) => {
+    const target = path.relative(ownDir, fileName).startsWith('..')
+      ? path.join(importsDir, path.relative(DIST_DIR, fileName))
+      : fileName;
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    ts.sys.writeFile(target, data, writeByteOrderMark);
+  };
+}
+
+/**
+ * Transpile a tsconfig project in-process, like `tstl -p`
+ * @param {string} tsconfigPath
+ * @param {ts.WriteFileCallback} [writeFile] - Where emitted files go (default: their outDir path)
+ * @returns {boolean} Whether it compiled without errors
+ */
+function transpileProject(tsconfigPath, writeFile) {
+  const parsed = tstl.parseConfigFileWithSystem(tsconfigPath);
+  let diagnostics = parsed.errors;
+
+  if (diagnostics.length === 0) {
+    const program = ts.createProgram({
+      rootNames: parsed.fileNames,
+      options: parsed.options,
+      projectReferences: parsed.projectReferences,
+      host: createCachingHost(parsed.options),
+    });
+    const preEmitDiagnostics = ts.getPreEmitDiagnostics(program);
+    const { diagnostics: transpileDiagnostics } = new tstl.Transpiler().emit({ program, writeFile });
+    diagnostics = ts.sortAndDeduplicateDiagnostics([...preEmitDiagnostics, ...transpileDiagnostics]);
+  }
+
+  if (diagnostics.length > 0) {
+    logError(ts.formatDiagnostics(diagnostics, {
+      getCanonicalFileName: fileName => fileName,
+      getCurrentDirectory: () => PROJECT_DIR,
+      getNewLine: () => '\n',
+    }).trimEnd());
+  }
+
+  return !diagnostics.some(diagnostic => diagnostic.category === ts.DiagnosticCategory.Error);
+}
+
 /**
  * Build a single rotation
  * @param {string} rotationName - Name of the rotation folder
  * @param {boolean} debugMode - If true, skip bundling and copy Lua files as-is
+ * @param {string[]} steps - Which of BUILD_STEPS to run (default: all)
+ * @returns {{ ok: boolean, timings: Record<string, number> }} Milliseconds per step run
  */
-function buildRotation(rotationName, debugMode = false) {
-  console.log(`\n${'='.repeat(60)}`);
-  console.log(`Building: ${rotationName}${debugMode ? ' (DEBUG)' : ''}`);
-  console.log('='.repeat(60));
+function buildRotation(rotationName, debugMode = false, steps = BUILD_STEPS) {
+  log(`\n${'='.repeat(60)}`);
+  log(`Building: ${rotationName}${debugMode ? ' (DEBUG)' : ''}`);
+  log('='.repeat(60));
 
   const rotationSrc = path.join(SRC_DIR, rotationName);
   const rotationDist = path.join(DIST_DIR, rotationName);
+  const rotationImports = path.join(IMPORTS_DIR, rotationName);
   const outputDir = path.join(SYLVANAS_SCRIPTS_DIR, rotationName);
 
   const tsconfigPath = path.join(rotationSrc, 'tsconfig.json');
   const tsconfigHeaderPath = path.join(rotationSrc, 'tsconfig.header.json');
 
+  const timings = {};
+  const failed = () => ({ ok: false, timings });
+  let stepStart;
+
   // Verify rotation exists
   if (!fs.existsSync(tsconfigPath)) {
-    console.error(`ERROR: tsconfig.json not found for ${rotationName}`);
-    return false;
+    logError(`ERROR: tsconfig.json not found for ${rotationName}`);
+    return failed();
   }
 
   // Ensure output directory exists
@@ -206,105 +358,361 @@ function buildRotation(rotationName, debugMode = false) {
   }
 
   // Step 1: Transpile header (if exists)
-  if (fs.existsSync(tsconfigHeaderPath)) {
-    console.log('\n1. Transpiling header...');
-    try {
-      execSync(`npx tstl -p "${tsconfigHeaderPath}"`, {
-        cwd: PROJECT_DIR,
-        stdio: 'inherit'
-      });
-    } catch (error) {
-      console.error('   Header transpilation failed:', error.message);
-      return false;
+  if (steps.includes('header')) {
+    stepStart = Date.now();
+    if (fs.existsSync(tsconfigHeaderPath)) {
+      log('\n1. Transpiling header...');
+      if (!transpileProject(tsconfigHeaderPath)) {
+        logError('   Header transpilation failed');
+        return failed();
+      }
+    } else {
+      log('\n1. No tsconfig.header.json found, skipping header...');
     }
-  } else {
-    console.log('\n1. No tsconfig.header.json found, skipping header...');
+    timings.header = Date.now() - stepStart;
   }
 
   // Step 2: Transpile main
-  console.log('\n2. Transpiling main...');
+  if (steps.includes('main')) {
+    stepStart = Date.now();
+    log('\n2. Transpiling main...');
+    fs.rmSync(rotationImports, { recursive: true, force: true });
+    if (!transpileProject(tsconfigPath, redirectImports(rotationDist, rotationImports))) {
+      logError('   Main transpilation failed');
+      return failed();
+    }
+    timings.main = Date.now() - stepStart;
+  }
+
+  // Step 3: Copy and fix header.lua
+  if (steps.includes('header')) {
+    stepStart = Date.now();
+    log('\n3. Copying and fixing header.lua...');
+    const headerSrc = path.join(rotationDist, 'header.lua');
+    const headerDest = path.join(outputDir, 'header.lua');
+
+    if (fs.existsSync(headerSrc)) {
+      fs.copyFileSync(headerSrc, headerDest);
+      log('   Copied header.lua to', headerDest);
+      fixHeaderExport(headerDest);
+    } else {
+      log('   No header.lua found, skipping...');
+    }
+    timings.header += Date.now() - stepStart;
+  }
+
+  // Step 4: Bundle or copy (debug mode)
+  if (steps.includes('bundle')) {
+    stepStart = Date.now();
+    if (debugMode) {
+      log('\n4. Debug mode: Copying Lua files as-is...');
+
+      try {
+        checkRuntimeRequiresInDir(rotationDist);
+      } catch (error) {
+        logError('   Copy failed:', error.message);
+        return failed();
+      }
+
+      // Copy rotation Lua files
+      copyLuaFiles(rotationDist, outputDir);
+      log('   Copied rotation Lua files to', outputDir);
+    } else {
+      log('\n4. Bundling with luabundle...');
+      const entryPoint = path.join(rotationDist, 'main.lua');
+      const outputBundle = path.join(outputDir, 'main.lua');
+
+      if (!fs.existsSync(entryPoint)) {
+        logError('   ERROR: main.lua not found at', entryPoint);
+        return failed();
+      }
+
+      try {
+        // bb_core Lua-only modules come from build-bb-core.js in dist/
+        const bundledCode = bundle(entryPoint, {
+          paths: [
+            `${rotationDist}/?.lua`,
+            `${rotationDist}/?/init.lua`,
+            `${rotationImports}/?.lua`,
+            `${rotationImports}/?/init.lua`,
+            `${DIST_DIR}/?.lua`,
+            `${DIST_DIR}/?/init.lua`,
+          ],
+          ignoredModuleNames: EXTERNAL_MODULES,
+          isolate: false,
+          preprocess: module => {
+            checkRuntimeRequires(path.relative(PROJECT_DIR, module.resolvedPath ?? entryPoint), module.content);
+            return module.content;
+          },
+        });
+
+        fs.writeFileSync(outputBundle, bundledCode);
+        log('   Bundle created:', outputBundle);
+      } catch (error) {
+        // luabundle wraps errors of required modules, the innermost one says what went wrong
+        let cause = error;
+        while (cause.cause) cause = cause.cause;
+        logError('   Bundle failed:', cause.message);
+        return failed();
+      }
+    }
+    timings.bundle = Date.now() - stepStart;
+  }
+
+  log(`\n✓ ${rotationName} built successfully!`);
+  return { ok: true, timings };
+}
+
+// ============================================================================
+// Parallel Builds
+// ============================================================================
+
+/**
+ * Build rotations on up to `jobs` worker threads. Each worker keeps its own
+ * source file cache across the rotations it builds. With one job, rotations
+ * are built in this thread instead, sharing a single cache.
+ * @returns {Promise<Map<string, { ok: boolean, timings: Record<string, number> }>>}
+ */
+async function buildRotations(rotations, debugMode, jobs) {
+  const results = new Map();
+
+  if (jobs <= 1) {
+    for (const rotation of rotations) {
+      results.set(rotation, buildRotation(rotation, debugMode));
+    }
+    return results;
+  }
+
+  const queue = [...rotations];
+
+  const runWorker = () => new Promise((resolve, reject) => {
+    // Workers load the config themselves, with the same overrides
+    const worker = new Worker(__filename, { argv: listConfigArgs() });
+    worker.on('error', reject);
+
+    const next = () => {
+      const rotation = queue.shift();
+      if (!rotation) {
+        worker.terminate().then(() => resolve());
+        return;
+      }
+      worker.once('message', ({ output, ...result }) => {
+        printOutput(output);
+        results.set(rotation, result);
+        next();
+      });
+      worker.postMessage({ rotation, debugMode });
+    };
+
+    next();
+  });
+
+  await Promise.all(Array.from({ length: Math.min(jobs, rotations.length) }, runWorker));
+  return results;
+}
+
+/**
+ * Worker side of buildRotations: build each rotation it is sent
+ */
+function runBuildWorker() {
+  parentPort.on('message', ({ rotation, debugMode }) => {
+    capturedOutput = [];
+    const result = buildRotation(rotation, debugMode);
+    parentPort.postMessage({ ...result, output: capturedOutput });
+    capturedOutput = null;
+  });
+}
+
+/**
+ * Run build-bb-core.js, deploying bb_core too in debug mode since
+ * debug rotations load it at runtime instead of bundling it
+ * @returns {boolean} Whether the build succeeded
+ */
+function buildBbCore(debugMode) {
   try {
-    execSync(`npx tstl -p "${tsconfigPath}"`, {
+    const args = [...listConfigArgs(), ...(debugMode ? ['--deploy'] : [])];
+    execSync(`node "${BB_CORE_BUILD_SCRIPT}" ${args.map(arg => `"${arg}"`).join(' ')}`, {
       cwd: PROJECT_DIR,
-      stdio: 'inherit'
+      stdio: quiet ? 'pipe' : 'inherit'
     });
+    return true;
   } catch (error) {
-    console.error('   Main transpilation failed:', error.message);
+    if (error.stdout) process.stdout.write(error.stdout);
+    if (error.stderr) process.stderr.write(error.stderr);
+    logError('   bb_core build failed:', error.message);
     return false;
   }
+}
 
-  // Step 3: Copy and fix header.lua
-  console.log('\n3. Copying and fixing header.lua...');
-  const headerSrc = path.join(rotationDist, 'header.lua');
-  const headerDest = path.join(outputDir, 'header.lua');
-
-  if (fs.existsSync(headerSrc)) {
-    fs.copyFileSync(headerSrc, headerDest);
-    console.log('   Copied header.lua to', headerDest);
-    fixHeaderExport(headerDest);
-  } else {
-    console.log('   No header.lua found, skipping...');
-  }
+// ============================================================================
+// Watch Mode
+// ============================================================================
 
-  // Step 4: Bundle or copy (debug mode)
-  if (debugMode) {
-    console.log('\n4. Debug mode: Copying Lua files as-is...');
+/**
+ * Whether a changed file is editor noise rather than a source change
+ */
+function isIgnoredChange(relativePath) {
+  const name = path.basename(relativePath);
+  return name.endsWith('~') || name.startsWith('.#') || /\.sw[a-p]$/.test(name);
+}
 
-    // Copy rotation Lua files
-    copyLuaFiles(rotationDist, outputDir);
-    console.log('   Copied rotation Lua files to', outputDir);
-  } else {
-    console.log('\n4. Bundling with luabundle...');
-    const entryPoint = path.join(rotationDist, 'main.lua');
-    const outputBundle = path.join(outputDir, 'main.lua');
+/**
+ * Work out what a batch of changed files affects.
+ *
+ * A rotation's header.ts or tsconfig.header.json only needs the header steps,
+ * its other files the main transpile and bundle. bb_core sources need a bb_core
+ * build, after which the rotations are transpiled and bundled again (see
+ * rebuild in watchRotations). Anything else under src/ (shared code, generated
+ * types) may be imported by any rotation, so everything is rebuilt.
+ *
+ * @param {string[]} changedFiles - Paths relative to SRC_DIR
+ * @param {string[]} rotations - Rotations being watched
+ * @param {string[]} newRotations - Rotations that appeared since the last build
+ * @returns {{ bbCore: boolean, plans: Map<string, Set<string>> }}
+ */
+function planRebuild(changedFiles, rotations, newRotations) {
+  const plans = new Map();
+  let bbCore = false;
 
-    if (!fs.existsSync(entryPoint)) {
-      console.error('   ERROR: main.lua not found at', entryPoint);
-      return false;
+  const addSteps = (rotation, steps) => {
+    if (!plans.has(rotation)) {
+      plans.set(rotation, new Set());
     }
+    for (const step of steps) {
+      plans.get(rotation).add(step);
+    }
+  };
 
-    try {
-      const bundledCode = bundle(entryPoint, {
-        paths: [
-          `${rotationDist}/?.lua`,
-          `${rotationDist}/?/init.lua`,
-          `${DIST_DIR}/?.lua`,
-          `${DIST_DIR}/?/init.lua`,
-        ],
-        ignoredModuleNames: EXTERNAL_MODULES,
-        isolate: false,
-      });
+  for (const rotation of newRotations) {
+    addSteps(rotation, BUILD_STEPS);
+  }
 
-      fs.writeFileSync(outputBundle, bundledCode);
-      console.log('   Bundle created:', outputBundle);
-    } catch (error) {
-      console.error('   Bundle failed:', error.message);
-      return false;
+  for (const file of changedFiles) {
+    const [topLevel, ...rest] = file.split(/[\\/]/);
+
+    if (topLevel.startsWith('ext_rotation_')) {
+      if (!rotations.includes(topLevel)) continue;
+      const name = rest.join('/');
+      if (name === 'header.ts' || name === 'tsconfig.header.json') {
+        addSteps(topLevel, ['header']);
+      } else {
+        addSteps(topLevel, ['main', 'bundle']);
+      }
+    } else if (BB_CORE_SOURCES.includes(topLevel)) {
+      bbCore = true;
+    } else {
+      for (const rotation of rotations) {
+        addSteps(rotation, BUILD_STEPS);
+      }
     }
   }
 
-  console.log(`\n✓ ${rotationName} built successfully!`);
-  return true;
+  return { bbCore, plans };
+}
+
+/**
+ * Print one status line for a rebuild
+ */
+function printStatus(target, steps, ok, startTime) {
+  const time = new Date().toLocaleTimeString();
+  console.log(`[${time}] ${ok ? '✓' : '✗'} ${target} (${steps.join(', ')}) ${formatSeconds(Date.now() - startTime)}`);
+}
+
+/**
+ * Watch src/ and rebuild whatever each batch of changes affects.
+ * Keeps running until interrupted.
+ * @param {string[] | null} targetRotations - Rotations to watch, or null for all
+ */
+function watchRotations(targetRotations, debugMode) {
+  let rotations = targetRotations ?? discoverRotations();
+  const pending = new Set();
+  let timer = null;
+
+  const rebuild = () => {
+    const changedFiles = [...pending];
+    pending.clear();
+
+    // Rotations scaffolded while watching get a full build
+    let newRotations = [];
+    if (!targetRotations) {
+      const discovered = discoverRotations();
+      newRotations = discovered.filter(rotation => !rotations.includes(rotation));
+      rotations = discovered;
+    }
+
+    const { bbCore, plans } = planRebuild(changedFiles, rotations, newRotations);
+    quiet = true;
+
+    let bbCoreOk = true;
+    if (bbCore) {
+      const startTime = Date.now();
+      bbCoreOk = buildBbCore(debugMode);
+      printStatus('bb_core', debugMode ? ['build', 'deploy'] : ['build'], bbCoreOk, startTime);
+    }
+
+    // Rotations transpile the bb_core modules they import into their own bundle
+    // (see IMPORTS_DIR). Debug builds load bb_core at runtime, so its deploy
+    // above is enough, and a failed bb_core build has nothing new.
+    if (bbCore && bbCoreOk && !debugMode) {
+      for (const rotation of rotations) {
+        if (!plans.has(rotation)) {
+          plans.set(rotation, new Set());
+        }
+        plans.get(rotation).add('main').add('bundle');
+      }
+    }
+
+    for (const [rotation, stepSet] of plans) {
+      const steps = BUILD_STEPS.filter(step => stepSet.has(step));
+      const startTime = Date.now();
+      const { ok } = buildRotation(rotation, debugMode, steps);
+      printStatus(rotation, steps.map(step => step === 'bundle' && debugMode ? 'copy' : step), ok, startTime);
+    }
+
+    quiet = false;
+  };
+
+  fs.watch(SRC_DIR, { recursive: true }, (eventType, filename) => {
+    if (!filename || isIgnoredChange(filename)) return;
+    pending.add(filename);
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, WATCH_DEBOUNCE_MS);
+  });
+
+  console.log(`\nWatching ${SRC_DIR} for changes (Ctrl+C to stop)...`);
 }
 
 // ============================================================================
 // Main
 // ============================================================================
 
-function main() {
-  const args = process.argv.slice(2);
+async function main() {
+  const buildStart = Date.now();
+  const args = listScriptArgs();
 
   // Parse flags
   const debugMode = args.includes('--debug');
+  const watchMode = args.includes('--watch');
+  const jobsArg = args.find(arg => arg.startsWith('--jobs='));
+  const jobsValue = jobsArg ? jobsArg.slice('--jobs='.length) : null;
   const targetRotation = args.find(arg => !arg.startsWith('--'));
 
+  if (jobsValue !== null && !/^[1-9]\d*$/.test(jobsValue)) {
+    console.error(`ERROR: Invalid ${jobsArg}, expected a positive whole number.`);
+    console.error('Usage: node scripts/build-rotation.js [--debug] [--watch] [--jobs=N] [rotation-name]');
+    process.exit(1);
+  }
+  const jobs = jobsValue !== null ? Number(jobsValue) : os.availableParallelism();
+
   console.log('Sylvanas Rotation Builder');
   console.log('========================\n');
-  console.log('Project:', PROJECT_DIR);
-  console.log('Output:', SYLVANAS_SCRIPTS_DIR);
+  printConfig(config);
   if (debugMode) {
     console.log('Mode: DEBUG (no bundling)');
   }
+  if (watchMode) {
+    console.log('Watch: rebuilding on changes');
+  }
 
   // Discover available rotations
   const availableRotations = discoverRotations();
@@ -323,35 +731,64 @@ function main() {
     rotationsToBuild = availableRotations;
   }
 
-  if (rotationsToBuild.length === 0) {
+  if (rotationsToBuild.length === 0 && !watchMode) {
     console.log('\nNo rotations to build.');
     process.exit(0);
   }
 
+  // Watch mode runs the full pipeline, so bb_core is built first
+  if (watchMode && BB_CORE_SOURCES.some(dir => fs.existsSync(path.join(SRC_DIR, dir)))) {
+    console.log('\nBuilding bb_core...');
+    buildBbCore(debugMode);
+  }
+
+  const jobCount = Math.min(jobs, rotationsToBuild.length);
   console.log('\nBuilding:', rotationsToBuild.join(', '));
+  if (jobCount > 1) {
+    console.log(`Jobs: ${jobCount}`);
+  }
+
+  const results = await buildRotations(rotationsToBuild, debugMode, jobCount);
 
-  // Build each rotation
+  // Summary
+  const nameWidth = Math.max(0, ...rotationsToBuild.map(rotation => rotation.length));
   let successCount = 0;
   let failCount = 0;
 
+  console.log('\n' + '='.repeat(60));
+  console.log('Build Summary');
+  console.log('='.repeat(60));
   for (const rotation of rotationsToBuild) {
-    if (buildRotation(rotation, debugMode)) {
+    const { ok, timings } = results.get(rotation);
+    if (ok) {
       successCount++;
     } else {
       failCount++;
     }
+    const steps = BUILD_STEPS
+      .filter(step => step in timings)
+      .map(step => `${step} ${formatSeconds(timings[step])}`);
+    console.log(`${ok ? '✓' : '✗'} ${rotation.padEnd(nameWidth)}  ${steps.join('  ')}`);
   }
-
-  // Summary
-  console.log('\n' + '='.repeat(60));
-  console.log('Build Summary');
-  console.log('='.repeat(60));
-  console.log(`Success: ${successCount}`);
+  console.log(`\nSuccess: ${successCount}`);
   console.log(`Failed: ${failCount}`);
+  console.log(`Time: ${formatSeconds(Date.now() - buildStart)}`);
+
+  if (watchMode) {
+    watchRotations(targetRotation ? [targetRotation] : null, debugMode);
+    return;
+  }
 
   if (failCount > 0) {
     process.exit(1);
   }
 }
 
-main();
+if (isMainThread) {
+  main().catch(error => {
+    console.error('ERROR:', error.stack ?? error.message);
+    process.exit(1);
+  });
+} else {
+  runBuildWorker();
+}
@@ -3,6 +3,9 @@
  *
  * Copy this file to config.local.js and fill in your paths.
  * config.local.js is gitignored to keep your local paths private.
+ *
+ * Empty values are unset. Any value can be overridden per run with a profile,
+ * an environment variable or a command-line option, see load-config.js.
  */
 
 module.exports = {
@@ -10,7 +13,7 @@ module.exports = {
   // Project Paths
   // =========================================================================
 
-  // Root directory of this project
+  // Root directory of this project (default: the folder containing scripts/)
   PROJECT_DIR: '',
 
   // =========================================================================
@@ -20,7 +23,7 @@ module.exports = {
   // Location of Sylvanas .api directory (e.g., "E:/Path/To/Sylvanas/scripts/.api")
   API_DIR: '',
 
-  // Where to output generated TypeScript types
+  // Where to output generated TypeScript types (default: PROJECT_DIR/src/types)
   TYPES_OUTPUT_DIR: '',
 
   // =========================================================================
@@ -29,4 +32,15 @@ module.exports = {
 
   // Sylvanas scripts directory (rotations output to subdirectories here)
   SYLVANAS_SCRIPTS_DIR: '',
+
+  // =========================================================================
+  // Profiles
+  // =========================================================================
+
+  // Named sets of overrides, selected with --profile <name> or TSTL_PROFILE
+  profiles: {
+    // ptr: {
+    //   SYLVANAS_SCRIPTS_DIR: 'C:/Path/To/Sylvanas_PTR/scripts',
+    // },
+  },
 };
@@ -1,414 +1,520 @@
 /**
  * Generate TypeScript declarations from Sylvanas API annotation files
  *
- * Usage: node scripts/generate-api-types.js [module-path]
+ * Usage: node scripts/generate-api-types.js [options] [module-path]
+ *
+ * Options:
+ *   --diff             List API changes against the declarations in TYPES_OUTPUT_DIR
+ *                      instead of generating (breaking changes are flagged)
+ *   --diff=<dir>       Diff against another declarations directory or an earlier .api copy
+ *   --markdown         Print the diff as Markdown
+ *   --out=<file>       Write the diff to a file
+ *   --docs[=<dir>]     Write an HTML API reference (default: dist/api-docs) instead of generating
+ *   --check            Typecheck the output afterwards and report syntax errors, other
+ *                      declaration errors and type names no module declares, with the
+ *                      API lines they come from
+ *   --force            Regenerate every module, even those whose inputs are unchanged
+ *   --update-registry  Rewrite scripts/external-modules.json from API_DIR. Without it,
+ *                      differences from the registry are only reported
+ *
+ * Modules are discovered from the .lua files in API_DIR; special cases
+ * (renamed paths, split files, globals) are listed in scripts/api-modules.js.
+ * API_DIR and TYPES_OUTPUT_DIR can be overridden per run (see load-config.js).
  *
  * Examples:
  *   node scripts/generate-api-types.js                              # Generate all
  *   node scripts/generate-api-types.js common/modules/buff_manager  # Generate one
+ *   node scripts/generate-api-types.js --diff --markdown --out=api-diff.md
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { loadConfig, printConfig, listScriptArgs } = require('./load-config');
+const { extractApiSurface, diffApiSurfaces, formatApiDiff } = require('./api-diff');
+const { renderDocsHtml } = require('./api-docs');
 
 // ============================================================================
 // Configuration
 // ============================================================================
 
-// Load config from config.local.js (gitignored) or fall back to config.js
-let config;
-const localConfigPath = path.join(__dirname, 'config.local.js');
-const defaultConfigPath = path.join(__dirname, 'config.js');
-
-if (fs.existsSync(localConfigPath)) {
-  config = require(localConfigPath);
-} else if (fs.existsSync(defaultConfigPath)) {
-  config = require(defaultConfigPath);
-} else {
-  console.error('ERROR: No config file found. Create scripts/config.local.js with API_DIR and OUTPUT_DIR.');
-  process.exit(1);
-}
-
+const config = loadConfig({ required: ['API_DIR', 'TYPES_OUTPUT_DIR'] });
 const { API_DIR, TYPES_OUTPUT_DIR } = config;
 const OUTPUT_DIR = TYPES_OUTPUT_DIR; // Alias for backwards compatibility
 
-if (!API_DIR || !TYPES_OUTPUT_DIR) {
-  console.error('ERROR: API_DIR and TYPES_OUTPUT_DIR must be set in config file.');
-  console.error('Edit scripts/config.local.js with your paths.');
-  process.exit(1);
-}
+const MODULE_OVERRIDES_PATH = path.join(__dirname, 'api-modules.js');
+const TYPE_PATCHES_PATH = path.join(__dirname, 'api-patches.js');
+const EVENT_OVERRIDES_PATH = path.join(__dirname, 'api-events.js');
 
+// Runtime module registry, read by build-rotation.js and extended by tsconfig.json.
+// Committed and reviewed; generation only compares it with API_DIR.
+const MODULE_REGISTRY_PATH = path.join(__dirname, 'external-modules.json');
 
+// Written next to the generated declarations
+const TYPES_INDEX_FILE = 'index.d.ts';
+const TYPES_MANIFEST_FILE = 'types-manifest.json';
+const CATALOGS_DIR = 'catalogs';
+const CATALOG_JSON_FILE = 'catalog.json';
+const GENERATION_CACHE_FILE = '.generate-cache.json';
+
+// ============================================================================
+// LuaCATS Type Parser
+// ============================================================================
 
 /**
- * Module configuration schema:
- *
- * @typedef {Object} ModuleConfig
- * @property {string} file - Source .lua/.api file path relative to API_DIR
- * @property {string} [mainExport] - Interface name for default export. If omitted, no module declaration is generated.
- * @property {string[]} [filterClasses] - Only include classes matching these patterns (supports trailing * wildcard)
- * @property {boolean} [declareGlobalVar] - If true, emits `declare const X: X;` for the main export
+ * @typedef {Object} LuaTypeToken
+ * @property {'name'|'string'|'number'|'capture'|'punct'|'other'|'eof'} kind
+ * @property {string} value
+ * @property {number} start
+ * @property {number} end
  */
 
-/** @type {Record<string, ModuleConfig>} */
-const MODULES = {
-  // =========================================================================
-  // Geometry
-  // =========================================================================
-  'common/geometry/vector_2': {
-    file: 'common/geometry/vec2.lua',
-    mainExport: 'vec2',
-  },
-  'common/geometry/vector_3': {
-    file: 'common/geometry/vec3.lua',
-    mainExport: 'vec3',
-  },
-  'common/geometry/circle': {
-    file: 'common/geometry/geometry.lua',
-    mainExport: 'circle',
-    filterClasses: ['circle', 'circle_*'],
-  },
-  'common/geometry/rectangle': {
-    file: 'common/geometry/geometry.lua',
-    mainExport: 'rectangle',
-    filterClasses: ['rectangle', 'rectangle_*'],
-  },
-  'common/geometry/cone': {
-    file: 'common/geometry/geometry.lua',
-    mainExport: 'cone',
-    filterClasses: ['cone', 'cone_*'],
-  },
-
-  // =========================================================================
-  // Common Base
-  // =========================================================================
-  'common/color': {
-    file: 'common/color.lua',
-    mainExport: 'color',
-  },
-  'common/enums': {
-    file: 'common/enums.lua',
-    // No mainExport - pure global type definitions
-  },
-  'common/unit_manager': {
-    file: 'common/unit_manager.lua',
-    mainExport: 'unit_manager',
-  },
-  'common/buff_db': {
-    file: 'common/buff_db.lua',
-    mainExport: 'buff_db',
-  },
-  'common/spell_attributes': {
-    file: 'common/spell_attributes.lua',
-    mainExport: 'spell_attributes',
-  },
-  'common/talents_id': {
-    file: 'common/talents_id.lua',
-    mainExport: 'talents_id',
-  },
-  'common/wow_api_clone': {
-    file: 'common/wow_api_clone.lua',
-    mainExport: 'wow_api_clone',
-  },
-  'common/ow_menu_api': {
-    file: 'common/ow_menu_api.lua',
-    mainExport: 'ow_menu_api',
-  },
-  'common/izi_sdk': {
-    file: 'common/izi_sdk.lua',
-    mainExport: 'izi_api',
-  },
-
-  // =========================================================================
-  // Modules
-  // =========================================================================
-  'common/modules/buff_manager': {
-    file: 'common/modules/buff_manager.lua',
-    mainExport: 'buff_manager',
-  },
-  'common/modules/settings_manager': {
-    file: 'common/modules/settings_manager.lua',
-    mainExport: 'settings_manager',
-  },
-  'common/modules/spell_queue': {
-    file: 'common/modules/spell_queue.lua',
-    mainExport: 'spell_queue',
-  },
-  'common/modules/spell_prediction': {
-    file: 'common/modules/spell_prediction.lua',
-    mainExport: 'spell_prediction',
-  },
-  'common/modules/combat_forecast': {
-    file: 'common/modules/combat_forecast.lua',
-    mainExport: 'combat_forecast',
-  },
-  'common/modules/profiler': {
-    file: 'common/modules/profiler.lua',
-    mainExport: 'profiler',
-  },
-  'common/modules/health_prediction': {
-    file: 'common/modules/health_prediction.lua',
-    mainExport: 'health_prediction',
-  },
-  'common/modules/target_selector': {
-    file: 'common/modules/target_selector.lua',
-    mainExport: 'target_selector',
-  },
-
-  // =========================================================================
-  // Utility Helpers
-  // =========================================================================
-  'common/utility/plugin_helper': {
-    file: 'common/utility/plugin_helper.lua',
-    mainExport: 'plugin_helper',
-  },
-  'common/utility/control_panel_helper': {
-    file: 'common/utility/control_panel_helper.lua',
-    mainExport: 'control_panel_helper',
-  },
-  'common/utility/unit_helper': {
-    file: 'common/utility/unit_helper.lua',
-    mainExport: 'unit_helper',
-  },
-  'common/utility/spell_helper': {
-    file: 'common/utility/spell_helper.lua',
-    mainExport: 'spell_helper',
-  },
-  'common/utility/key_helper': {
-    file: 'common/utility/key_helper.lua',
-    mainExport: 'key_helper',
-  },
-  'common/utility/auto_attack_helper': {
-    file: 'common/utility/auto_attack_helper.lua',
-    mainExport: 'auto_attack_helper',
-  },
-  'common/utility/cooldown_tracker': {
-    file: 'common/utility/cooldown_tracker.lua',
-    mainExport: 'cooldown_tracker',
-  },
-  'common/utility/dungeons_helper': {
-    file: 'common/utility/dungeons_helper.lua',
-    mainExport: 'dungeons_helper',
-  },
-  'common/utility/evade_helper': {
-    file: 'common/utility/evade_helper.lua',
-    mainExport: 'evade_helper',
-  },
-  'common/utility/fish_helper': {
-    file: 'common/utility/fish_helper.lua',
-    mainExport: 'fish_helper',
-  },
-  'common/utility/graphics_helper': {
-    file: 'common/utility/graphics_helper.lua',
-    mainExport: 'graphics_helper',
-  },
-  'common/utility/inventory_helper': {
-    file: 'common/utility/inventory_helper.lua',
-    mainExport: 'inventory_helper',
-  },
-  'common/utility/kick_external_filters_helper': {
-    file: 'common/utility/kick_external_filters_helper.lua',
-    mainExport: 'kick_external_filters_helper',
-  },
-  'common/utility/dispel_external_filters_helper': {
-    file: 'common/utility/dispel_external_filters_helper.lua',
-    mainExport: 'dispel_external_filters_helper',
-  },
-  'common/utility/movement_handler': {
-    file: 'common/utility/movement_handler.lua',
-    mainExport: 'movement_handler',
-  },
-  'common/utility/pet_handler': {
-    file: 'common/utility/pet_handler.lua',
-    mainExport: 'pet_handler',
-  },
-  'common/utility/pvp_helper': {
-    file: 'common/utility/pvp_helper.lua',
-    mainExport: 'pvp_helper',
-  },
-  'common/utility/simple_movement': {
-    file: 'common/utility/simple_movement.lua',
-    mainExport: 'simple_movement',
-  },
-  'common/utility/ui_buttons_info': {
-    file: 'common/utility/ui_buttons_info.lua',
-    mainExport: 'ui_buttons_info',
-  },
-  'common/utility/wigs_tracker': {
-    file: 'common/utility/wigs_tracker.lua',
-    mainExport: 'wigs_tracker',
-  },
-  'common/utility/assets_helper': {
-    file: 'common/utility/assets_helper.lua',
-    mainExport: 'assets_helper',
-  },
-  'common/utility/icons_helper': {
-    file: 'common/utility/icons_helper.lua',
-    mainExport: 'icons_helper',
-  },
-  'common/utility/spell_sequence_helper': {
-    file: 'common/utility/spell_sequence_helper.lua',
-    mainExport: 'spell_sequence_helper',
-  },
-  'common/utility/coords_helper': {
-    file: 'common/utility/coords_helper.lua',
-    mainExport: 'coords_helper',
-  },
-
-  // =========================================================================
-  // Core globals - available everywhere + importable
-  // =========================================================================
-  'menu': {
-    file: 'menu.lua',
-    mainExport: 'menu',
-    declareGlobalVar: true,
-  },
-  'core': {
-    file: 'core.lua',
-    mainExport: 'core',
-    declareGlobalVar: true,
-  },
-  'game_object': {
-    file: 'game_object.lua',
-    mainExport: 'game_object',
-    declareGlobalVar: false, // game_object is a type, not a runtime global
-  },
-};
+/**
+ * @typedef {Object} LuaTypeNode - Parsed LuaCATS type expression
+ * @property {'name'|'literal'|'capture'|'array'|'optional'|'union'|'fun'|'table'|'tuple'} kind
+ * @property {string} [name] - name, capture
+ * @property {LuaTypeNode[]} [args] - name: generic arguments (`table<K, V>`, `list<T>`)
+ * @property {string} [text] - literal: TypeScript text of the literal
+ * @property {LuaTypeNode} [type] - array element, optional base
+ * @property {LuaTypeNode[]} [types] - union members
+ * @property {string|null} [generics] - fun: type parameter source (`T, K : Base`)
+ * @property {Array<{name: string, type: LuaTypeNode|null, optional: boolean, vararg: boolean}>} [params] - fun
+ * @property {Array<{type: LuaTypeNode, name?: string, variadic: boolean}>} [returns] - fun, tuple
+ * @property {string} [source] - fun: Lua source of the whole type
+ * @property {Array<{key: string, keyType?: LuaTypeNode, type: LuaTypeNode, optional: boolean}>} [fields] - table
+ * @property {boolean} [positional] - table: `{ T, U }` list of positional values
+ */
 
-// ============================================================================
-// Type Conversion
-// ============================================================================
+const PUNCTUATION = ['...', '|', '?', ',', ':', '(', ')', '<', '>', '[', ']', '{', '}'];
 
-function convertLuaTypeToTS(luaType) {
-  luaType = luaType.trim();
+// Bare words that are types rather than parameter names in `fun(string, number)`
+const BUILTIN_TYPE_NAMES = new Set(['nil', 'any', 'unknown', 'boolean', 'string', 'number', 'integer',
+  'function', 'table', 'thread', 'userdata', 'lightuserdata', 'true', 'false']);
 
-  // Strip inline Lua comments
-  const commentIdx = luaType.indexOf(' --');
-  if (commentIdx !== -1) {
-    luaType = luaType.slice(0, commentIdx).trim();
-  }
-  const hashIdx = luaType.indexOf('  #');
-  if (hashIdx !== -1) {
-    luaType = luaType.slice(0, hashIdx).trim();
+/**
+ * Split a LuaCATS type expression into tokens. Text that can't be part of a
+ * type (comments, descriptions) becomes `other` tokens, which end the type.
+ * @param {string} text
+ * @returns {LuaTypeToken[]}
+ */
+function tokenizeLuaType(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) { i++; continue; }
+    const start = i;
+    const rest = text.slice(i);
+    let match;
+
+    if ((match = rest.match(/^[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*/))) {
+      tokens.push({ kind: 'name', value: match[0], start, end: i + match[0].length });
+    } else if ((match = rest.match(/^-?(?:0[xX][\da-fA-F]+|\d+(?:\.\d+)?)/)) && !rest.startsWith('--')) {
+      tokens.push({ kind: 'number', value: match[0], start, end: i + match[0].length });
+    } else if ((match = rest.match(/^"(?:[^"\\]|\\.)*"|^'(?:[^'\\]|\\.)*'/))) {
+      tokens.push({ kind: 'string', value: match[0], start, end: i + match[0].length });
+    } else if ((match = rest.match(/^`(\w+)`/))) {
+      tokens.push({ kind: 'capture', value: match[1], start, end: i + match[0].length });
+    } else if ((match = PUNCTUATION.find(p => rest.startsWith(p)))) {
+      tokens.push({ kind: 'punct', value: match, start, end: i + match.length });
+    } else {
+      tokens.push({ kind: 'other', value: text[i], start, end: i + 1 });
+    }
+    i = tokens[tokens.length - 1].end;
   }
+  tokens.push({ kind: 'eof', value: '', start: text.length, end: text.length });
+  return tokens;
+}
 
-  if (!luaType) return 'void';
-  if (luaType === 'nil') return 'void';
+/**
+ * Parse the type expression at the start of an annotation. Parsing stops at the
+ * first token that can't continue the type, so trailing descriptions and
+ * comments are left over rather than misread.
+ * @param {string} text
+ * @returns {{node: LuaTypeNode, end: number}|null} - null if no type could be read; end is the offset after the type
+ */
+function parseLuaTypePrefix(text) {
+  const tokens = tokenizeLuaType(text);
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[Math.min(pos + offset, tokens.length - 1)];
+  const isPunct = (value, offset = 0) => peek(offset).kind === 'punct' && peek(offset).value === value;
+  const adjacent = () => pos > 0 && tokens[pos - 1].end === peek().start;
+  const expect = (value) => {
+    if (!isPunct(value)) throw new Error(`expected "${value}" at ${peek().start}`);
+    return tokens[pos++];
+  };
+
+  // Whether a name at the cursor is a label (`x: T`, `boolean ok,`) rather than part of a type
+  const isLabel = (followers) => peek().kind === 'name' && followers.some(f => isPunct(f, 1) || (f === 'eof' && peek(1).kind === 'eof'));
+
+  function parseUnion(allowMultiReturn) {
+    if (isPunct('|')) pos++;
+    const types = [parsePostfix(allowMultiReturn)];
+    while (isPunct('|')) {
+      pos++;
+      types.push(parsePostfix(allowMultiReturn));
+    }
+    return types.length === 1 ? types[0] : { kind: 'union', types };
+  }
 
-  // Handle trailing "| nil"
-  if (luaType.endsWith('| nil') || luaType.endsWith('|nil')) {
-    const base = luaType.replace(/\|\s*nil$/, '').trim();
-    return `${convertLuaTypeToTS(base)} | null`;
+  function parsePostfix(allowMultiReturn) {
+    let node = parsePrimary(allowMultiReturn);
+    for (;;) {
+      if (isPunct('[') && isPunct(']', 1) && adjacent()) {
+        pos += 2;
+        node = { kind: 'array', type: node };
+      } else if (isPunct('?') && adjacent()) {
+        pos++;
+        node = { kind: 'optional', type: node };
+      } else {
+        return node;
+      }
+    }
   }
 
-  // Primitives
-  if (luaType === 'number' || luaType === 'integer') return 'number';
-  if (luaType === 'string') return 'string';
-  if (luaType === 'boolean') return 'boolean';
-  if (luaType === 'any') return 'any';
-  if (luaType === 'userdata') return 'unknown';
-  if (luaType === 'table') return 'object';
-  if (luaType === 'function') return '(...args: any[]) => any';
+  function parsePrimary(allowMultiReturn) {
+    const token = peek();
+    if (token.kind === 'name' && token.value === 'fun' && (isPunct('(', 1) || isPunct('<', 1))) {
+      return parseFun(allowMultiReturn);
+    }
+    if (token.kind === 'name') {
+      pos++;
+      const node = { kind: 'name', name: token.value };
+      if (isPunct('<') && adjacent()) {
+        pos++;
+        node.args = [parseUnion(false)];
+        while (isPunct(',')) {
+          pos++;
+          node.args.push(parseUnion(false));
+        }
+        expect('>');
+      }
+      return node;
+    }
+    if (token.kind === 'string') {
+      pos++;
+      const quote = token.value[0];
+      const value = token.value.slice(1, -1).replace(new RegExp(`\\\\${quote}`, 'g'), quote);
+      return { kind: 'literal', text: JSON.stringify(value) };
+    }
+    if (token.kind === 'number') {
+      pos++;
+      return { kind: 'literal', text: token.value };
+    }
+    if (token.kind === 'capture') {
+      pos++;
+      return { kind: 'capture', name: token.value };
+    }
+    if (isPunct('{')) return parseTable();
+    if (isPunct('(')) {
+      pos++;
+      const items = parseReturnList(')');
+      expect(')');
+      return items.length === 1 && !items[0].variadic && !items[0].name ? items[0].type : { kind: 'tuple', returns: items };
+    }
+    throw new Error(`unexpected "${token.value}" at ${token.start}`);
+  }
 
-  // Optional: type?
-  if (luaType.endsWith('?') && !luaType.includes('|')) {
-    return `${convertLuaTypeToTS(luaType.slice(0, -1))} | undefined`;
+  // `type [name]` or `...type` items, as in `(boolean ok, string err)`
+  function parseReturnList(closer) {
+    const items = [];
+    do {
+      if (items.length > 0) pos++;
+      const variadic = isPunct('...');
+      if (variadic) pos++;
+      const type = variadic && (isPunct(',') || isPunct(closer) || peek().kind === 'eof')
+        ? { kind: 'name', name: 'any' }
+        : parseUnion(false);
+      const item = { type, variadic };
+      // At the end of an annotation a single trailing word is a description, not a name
+      const followers = closer === 'eof' && items.length === 0 ? [','] : [',', closer];
+      if (isLabel(followers)) item.name = tokens[pos++].value;
+      else if (isPunct('...') && (isPunct(',', 1) || isPunct(closer, 1))) { pos++; item.variadic = true; }
+      items.push(item);
+    } while (isPunct(','));
+    return items;
   }
 
-  // Unions
-  if (luaType.includes('|')) {
-    const parts = splitUnion(luaType);
-    if (parts.length > 1) {
-      const converted = parts.map(p => convertLuaTypeToTS(p.trim()));
-      return [...new Set(converted)].join(' | ');
+  function parseFun(allowMultiReturn) {
+    const start = tokens[pos++].start; // fun
+    let generics = null;
+    if (isPunct('<')) {
+      const open = tokens[pos++];
+      let depth = 1;
+      while (depth > 0 && peek().kind !== 'eof') {
+        if (isPunct('<')) depth++;
+        if (isPunct('>')) depth--;
+        pos++;
+      }
+      generics = text.slice(open.end, tokens[pos - 1].start).trim();
     }
-  }
 
-  // Tuple: (type1, type2)
-  if (luaType.startsWith('(') && luaType.endsWith(')')) {
-    const inner = luaType.slice(1, -1);
-    const parts = splitByComma(inner);
-    if (parts.length > 1) {
-      const innerTypes = parts.map(t => convertLuaTypeToTS(t.trim()));
-      return `LuaMultiReturn<[${innerTypes.join(', ')}]>`;
+    expect('(');
+    const params = [];
+    while (!isPunct(')')) {
+      if (params.length > 0) expect(',');
+      if (isPunct('...')) {
+        pos++;
+        if (isPunct(':')) pos++;
+        const type = isPunct(')') || isPunct(',') ? null : parseUnion(false);
+        params.push({ name: '...', type, optional: false, vararg: true });
+      } else if (isLabel([':']) || (isLabel(['?']) && (isPunct(':', 2) || !BUILTIN_TYPE_NAMES.has(peek().value)))) {
+        const name = tokens[pos++].value;
+        const optional = isPunct('?');
+        if (optional) pos++;
+        let type = null;
+        if (isPunct(':')) {
+          pos++;
+          type = parseUnion(false);
+        }
+        params.push({ name, type, optional, vararg: false });
+      } else if (isLabel([',', ')']) && !BUILTIN_TYPE_NAMES.has(peek().value)) {
+        params.push({ name: tokens[pos++].value, type: null, optional: false, vararg: false });
+      } else {
+        // Unnamed parameter given only by its type, e.g. fun(string|nil)
+        params.push({ name: `arg${params.length + 1}`, type: parseUnion(false), optional: false, vararg: false });
+      }
     }
-    return convertLuaTypeToTS(inner);
-  }
+    expect(')');
 
-  // Arrays: type[]
-  const arrayMatch = luaType.match(/^(.+)\[\]$/);
-  if (arrayMatch) {
-    return `${convertLuaTypeToTS(arrayMatch[1])}[]`;
+    let returns = [];
+    if (isPunct(':')) {
+      pos++;
+      if (allowMultiReturn) {
+        returns = parseReturnList('eof');
+      } else {
+        const variadic = isPunct('...');
+        if (variadic) pos++;
+        returns = [{ type: parseUnion(false), variadic }];
+      }
+    }
+    return { kind: 'fun', generics, params, returns, source: text.slice(start, tokens[pos - 1].end) };
   }
 
-  // table<K, V>
-  if (luaType.startsWith('table<') && luaType.endsWith('>')) {
-    const inner = luaType.slice(6, -1);
-    const parts = splitByComma(inner);
-    if (parts.length === 2) {
-      return `Record<${convertLuaTypeToTS(parts[0].trim())}, ${convertLuaTypeToTS(parts[1].trim())}>`;
+  function parseTable() {
+    expect('{');
+    const fields = [];
+    let positional = 0;
+    while (!isPunct('}')) {
+      if (fields.length > 0) {
+        expect(',');
+        if (isPunct('}')) break; // trailing comma
+      }
+      if (isPunct('[')) {
+        pos++;
+        const keyToken = peek();
+        const keyType = parseUnion(false);
+        expect(']');
+        expect(':');
+        const key = keyToken.kind === 'string' || keyToken.kind === 'number' ? keyType.text : null;
+        fields.push({ key, keyType: key ? undefined : keyType, type: parseUnion(false), optional: false });
+      } else if (isLabel([':', '?'])) {
+        const key = tokens[pos++].value;
+        const optional = isPunct('?');
+        if (optional) pos++;
+        expect(':');
+        fields.push({ key, type: parseUnion(false), optional });
+      } else {
+        fields.push({ key: String(++positional), type: parseUnion(false), optional: false });
+      }
     }
+    expect('}');
+    return { kind: 'table', fields, positional: positional > 0 && positional === fields.length };
   }
 
-  // Function: fun(params): return
-  if (luaType.startsWith('fun(') || luaType.startsWith('fun ')) {
-    return parseFunType(luaType);
+  if (peek().kind === 'eof') return null;
+  try {
+    const node = parseUnion(true);
+    return { node, end: tokens[pos - 1].end };
+  } catch {
+    return null;
   }
+}
 
-  return luaType;
+/**
+ * Parse a complete LuaCATS type expression, ignoring any trailing description
+ * @param {string} text
+ * @returns {LuaTypeNode|null}
+ */
+function parseLuaType(text) {
+  const result = parseLuaTypePrefix(text);
+  return result ? result.node : null;
 }
 
-function convertLuaAliasToTS(luaType) {
-  luaType = luaType.trim();
+// ============================================================================
+// Type Conversion
+// ============================================================================
 
-  // Handle object-like aliases: { field: type, field2: type }
-  if (luaType.startsWith('{') && luaType.endsWith('}')) {
-    const inner = luaType.slice(1, -1).trim();
-    if (!inner) return '{}';
+// Binding strength of emitted TypeScript types, used to decide on parentheses
+const PRECEDENCE = { function: 0, union: 1, postfix: 2 };
+
+const LUA_PRIMITIVE_TYPES = {
+  number: 'number',
+  integer: 'number',
+  string: 'string',
+  boolean: 'boolean',
+  any: 'any',
+  unknown: 'unknown',
+  userdata: 'unknown',
+  true: 'true',
+  false: 'false',
+};
 
-    const fields = [];
-    const parts = splitByComma(inner);
-    for (const part of parts) {
-      const colonIdx = part.indexOf(':');
-      if (colonIdx !== -1) {
-        const fieldName = part.slice(0, colonIdx).trim();
-        const fieldType = part.slice(colonIdx + 1).trim();
-        fields.push(`${fieldName}: ${convertLuaTypeToTS(fieldType)}`);
+/**
+ * Emit a parsed LuaCATS type as TypeScript
+ * @param {LuaTypeNode} node
+ * @param {boolean} [inUnion] - `nil` is `null` inside a union and `void` on its own
+ * @returns {{text: string, precedence: number}}
+ */
+function emitType(node, inUnion = false) {
+  const atom = text => ({ text, precedence: PRECEDENCE.postfix });
+
+  switch (node.kind) {
+    case 'literal':
+      return atom(node.text);
+    case 'capture':
+      return atom(node.name);
+    case 'name': {
+      if (node.name === 'nil') return atom(inUnion ? 'null' : 'void');
+      if (node.name === 'function') return { text: '(...args: any[]) => any', precedence: PRECEDENCE.function };
+      if (node.name === 'table') {
+        return node.args && node.args.length === 2
+          ? atom(`Record<${node.args.map(arg => emitType(arg).text).join(', ')}>`)
+          : atom('object');
       }
+      if (LUA_PRIMITIVE_TYPES[node.name]) return atom(LUA_PRIMITIVE_TYPES[node.name]);
+      return atom(node.args ? `${node.name}<${node.args.map(arg => emitType(arg).text).join(', ')}>` : node.name);
+    }
+    case 'array':
+      return atom(`${wrapType(emitType(node.type), PRECEDENCE.postfix)}[]`);
+    case 'optional':
+      return emitType({ kind: 'union', types: [node.type, { kind: 'name', name: 'undefined' }] }, inUnion);
+    case 'union': {
+      const members = [];
+      const flatten = type => {
+        if (type.kind === 'union') type.types.forEach(flatten);
+        else if (type.kind === 'optional') { flatten(type.type); members.push('undefined'); }
+        else members.push(wrapType(emitType(type, true), PRECEDENCE.postfix));
+      };
+      node.types.forEach(flatten);
+      const unique = [...new Set(members)];
+      return unique.length === 1 ? atom(unique[0]) : { text: unique.join(' | '), precedence: PRECEDENCE.union };
     }
-    return `{ ${fields.join('; ')} }`;
+    case 'tuple':
+      return atom(emitMultiReturn(node.returns));
+    case 'table':
+      return atom(emitTableShape(node));
+    case 'fun': {
+      const { typeParams, params, returnType } = emitFunParts(node);
+      return { text: `${typeParams}(${params}) => ${returnType}`, precedence: PRECEDENCE.function };
+    }
+    default:
+      return atom('any');
   }
+}
 
-  // Handle unions containing function types
-  if (luaType.includes('|') && luaType.includes('fun(')) {
-    const parts = splitUnion(luaType);
-    const converted = parts.map(p => {
-      const trimmed = p.trim();
-      if (trimmed.startsWith('fun(') || trimmed.startsWith('fun ')) {
-        return `(${parseFunType(trimmed)})`;
-      }
-      return convertLuaTypeToTS(trimmed);
-    });
-    return [...new Set(converted)].join(' | ');
-  }
+/**
+ * Parenthesize an emitted type that binds looser than its context needs
+ * @param {{text: string, precedence: number}} emitted
+ * @param {number} precedence
+ * @returns {string}
+ */
+function wrapType(emitted, precedence) {
+  return emitted.precedence < precedence ? `(${emitted.text})` : emitted.text;
+}
 
-  return convertLuaTypeToTS(luaType);
+/**
+ * Emit several return values as `LuaMultiReturn<[...]>`.
+ * Elements are labelled with their names when every value has one.
+ * @param {Array<{type: LuaTypeNode, name?: string, variadic: boolean}>} returns
+ * @returns {string}
+ */
+function emitMultiReturn(returns) {
+  const labelled = returns.every(r => r.name);
+  const elements = returns.map(r => {
+    const tsType = r.variadic ? `${wrapType(emitType(r.type), PRECEDENCE.postfix)}[]` : emitType(r.type).text;
+    const label = labelled ? `${sanitizeParamName(r.name)}: ` : '';
+    return `${r.variadic ? '...' : ''}${label}${tsType}`;
+  });
+  return `LuaMultiReturn<[${elements.join(', ')}]>`;
 }
 
-function splitUnion(type) {
-  const parts = [];
-  let current = '';
-  let depth = 0;
+/**
+ * Emit a LuaCATS table shape (`{ field: type, [string]: type }`) as a TS object type.
+ * A shape of only positional values (`{ string, number }`) becomes a tuple.
+ * @param {LuaTypeNode} node
+ * @returns {string}
+ */
+function emitTableShape(node) {
+  if (node.fields.length === 0) return '{}';
+  if (node.positional) return `[${node.fields.map(f => emitType(f.type).text).join(', ')}]`;
+
+  const members = node.fields.map(field => {
+    const key = field.keyType
+      ? `[key: ${emitType(field.keyType).text}]`
+      : /^(?:[A-Za-z_$][\w$]*|\d+|"[^"]*")$/.test(field.key) ? field.key : JSON.stringify(field.key);
+    return `${key}${field.optional ? '?' : ''}: ${emitType(field.type).text}`;
+  });
+  return `{ ${members.join('; ')} }`;
+}
 
-  for (let i = 0; i < type.length; i++) {
-    const char = type[i];
-    if ('([{<'.includes(char)) { depth++; current += char; }
-    else if (')]}>'.includes(char)) { depth--; current += char; }
-    else if (char === '|' && depth === 0) { parts.push(current.trim()); current = ''; }
-    else { current += char; }
+/**
+ * Emit the pieces of a TypeScript signature for a parsed `fun(...)` type.
+ * Functions without a `self` parameter get `this: void`, unless they are
+ * members of a `@noSelf` interface.
+ * @param {LuaTypeNode} node
+ * @param {boolean} [noSelf]
+ * @returns {{typeParams: string, params: string, returnType: string}}
+ */
+function emitFunParts(node, noSelf = false) {
+  const typeParams = node.generics ? `<${convertGenericParams(node.generics, undefined, node.source)}>` : '';
+
+  const params = node.params.map(p => {
+    let type = p.type || { kind: 'name', name: 'any' };
+    let optional = p.optional;
+    if (type.kind === 'optional') {
+      optional = true;
+      type = type.type;
+    }
+    if (p.name === 'self') return `this: ${emitType(type).text}`;
+    if (p.vararg) return `...${sanitizeParamName(p.name)}: ${wrapType(emitType(type), PRECEDENCE.postfix)}[]`;
+    return `${sanitizeParamName(p.name)}${optional ? '?' : ''}: ${emitType(type).text}`;
+  });
+  if (!noSelf && (node.params.length === 0 || node.params[0].name !== 'self')) {
+    params.unshift('this: void');
   }
-  if (current.trim()) parts.push(current.trim());
-  return parts;
+
+  let returnType = 'void';
+  if (node.returns.length > 1 || (node.returns.length === 1 && node.returns[0].variadic)) {
+    returnType = emitMultiReturn(node.returns);
+  } else if (node.returns.length === 1) {
+    returnType = emitType(node.returns[0].type).text;
+  }
+
+  return { typeParams, params: params.join(', '), returnType };
+}
+
+/**
+ * Convert a LuaCATS type expression to TypeScript. Trailing descriptions and
+ * comments are ignored; text that isn't a type becomes `any`.
+ * @param {string} luaType
+ * @returns {string}
+ */
+function convertLuaTypeToTS(luaType) {
+  const node = parseLuaType(luaType);
+  return node ? emitType(node).text : (luaType.trim() ? 'any' : 'void');
+}
+
+/**
+ * Build the Lua return type of a function from its `@return` annotations:
+ * `void` for none, the type for one, a named tuple `(t1 n1, t2 n2)` for several.
+ * @param {ReturnInfo[]} returns
+ * @returns {string}
+ */
+function formatReturnType(returns) {
+  if (returns.length === 0) return 'void';
+  if (returns.length === 1 && !returns[0].variadic) return returns[0].type;
+  return `(${returns.map(r => `${r.variadic ? '...' : ''}${r.type}${r.name ? ` ${r.name}` : ''}`).join(', ')})`;
 }
 
 function splitByComma(str) {
@@ -427,139 +533,354 @@ function splitByComma(str) {
   return parts;
 }
 
-function findMatchingParen(str, start) {
-  let depth = 0;
-  for (let i = start; i < str.length; i++) {
-    if (str[i] === '(') depth++;
-    if (str[i] === ')') depth--;
-    if (depth === 0) return i;
-  }
-  return -1;
+/**
+ * Split an annotation into its leading type expression and trailing description.
+ * The type is read with the LuaCATS parser, so `table<K, V>`, `fun(x: T): T`
+ * and `"a" | "b"` are kept whole.
+ * @param {string} text
+ * @returns {{type: string, description: string}}
+ */
+function splitTypeAndDescription(text) {
+  const result = parseLuaTypePrefix(text);
+  if (!result) return { type: text.trim(), description: '' };
+  return { type: text.slice(0, result.end).trim(), description: text.slice(result.end).trim() };
 }
 
 // Context for the current class being parsed
 let currentClassName = null;
 
-function parseFunType(luaType) {
-  const startParen = luaType.indexOf('(');
-  if (startParen === -1) return '(...args: any[]) => any';
+/**
+ * Convert a LuaCATS generic parameter list (`T, K : Base`) to TypeScript (`T, K extends Base`).
+ * Unconstrained parameters used as a `table<K, V>` key get `extends PropertyKey`,
+ * since that becomes `Record<K, V>`.
+ * @param {string} genericsStr
+ * @param {string} [defaultType] - Default for every parameter, e.g. `any` for generic classes
+ * @param {string} [usage] - Lua source the parameters are used in
+ * @returns {string}
+ */
+function convertGenericParams(genericsStr, defaultType, usage = '') {
+  return splitByComma(genericsStr).map(part => {
+    const match = part.match(/^(\w+)\s*(?::\s*(.+))?$/);
+    if (!match) return part;
+    let constraint = match[2] ? ` extends ${convertLuaTypeToTS(match[2])}` : '';
+    if (!constraint && new RegExp(`table<\\s*${match[1]}\\s*,`).test(usage)) {
+      constraint = ' extends PropertyKey';
+    }
+    const fallback = defaultType ? ` = ${defaultType}` : '';
+    return `${match[1]}${constraint}${fallback}`;
+  }).join(', ');
+}
+
+/**
+ * Prepend a `self` parameter to a `fun(...)` type unless it already has one
+ * @param {string} funType
+ * @param {string} className
+ * @returns {string}
+ */
+function addSelfParam(funType, className) {
+  const startParen = funType.indexOf('(');
+  const head = funType.slice(0, startParen);
+  const paramsStr = funType.slice(startParen + 1);
+  if (/^\s*self\s*[:,)]/.test(paramsStr)) return funType;
+  const separator = /^\s*\)/.test(paramsStr) ? '' : ', ';
+  return `${head}(self: ${className}${separator}${paramsStr}`;
+}
+
+/**
+ * Give a `fun(...)` type the function's `@generic` parameters unless it declares its own
+ * @param {string} funType
+ * @param {string|null} generics
+ * @returns {string}
+ */
+function addGenericParams(funType, generics) {
+  if (!generics || !/^fun\s*\(/.test(funType)) return funType;
+  return funType.replace(/^fun\s*/, `fun<${generics}>`);
+}
 
-  const endParen = findMatchingParen(luaType, startParen);
-  if (endParen === -1) return '(...args: any[]) => any';
+function sanitizeParamName(name) {
+  // Lua varargs (`...`) become a rest parameter named args
+  if (name.startsWith('...')) return name.slice(3) || 'args';
+  const reserved = ['break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+    'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'false',
+    'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'new',
+    'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try',
+    'typeof', 'var', 'void', 'while', 'with', 'yield'];
+  return reserved.includes(name) ? `_${name}` : name;
+}
 
-  const paramsStr = luaType.slice(startParen + 1, endParen);
-  const rest = luaType.slice(endParen + 1).trim();
+// ============================================================================
+// Parsing API Files
+// ============================================================================
 
-  let returnType = 'void';
-  if (rest.startsWith(':')) {
-    let returnStr = rest.slice(1).trim();
+/**
+ * Parse the text of a `@return` annotation: `type [name] [# comment]`, optionally
+ * comma-separated (`boolean ok, string err`). Free text after a type ends the list,
+ * so commas inside a description do not create return values.
+ * @param {string} text
+ * @returns {ReturnInfo[]}
+ */
+function parseReturnAnnotation(text) {
+  let body = text.trim();
+  let comment = '';
+  const commentMatch = body.match(/\s*(?:#|--|@)\s*(.*)$/);
+  if (commentMatch && commentMatch.index > 0) {
+    comment = commentMatch[1].trim();
+    body = body.slice(0, commentMatch.index).trim();
+  }
 
-    // Strip Lua comments
-    const luaCommentIdx = returnStr.indexOf(' --');
-    if (luaCommentIdx !== -1) {
-      returnStr = returnStr.slice(0, luaCommentIdx).trim();
+  const returns = [];
+  const parts = splitByComma(body);
+  for (let i = 0; i < parts.length; i++) {
+    const { type, description: after } = splitTypeAndDescription(parts[i]);
+    const info = { type };
+
+    const varargMatch = after.match(/^\.\.\.(?:\s+(.*))?$/);
+    const nameMatch = after.match(/^([a-z_]\w*)(?:\s+(.*))?$/);
+    let description = after;
+    if (varargMatch) {
+      info.variadic = true;
+      description = varargMatch[1] || '';
+    } else if (nameMatch) {
+      info.name = nameMatch[1];
+      description = nameMatch[2] || '';
     }
 
-    // Strip inline descriptions
-    const descMatch = returnStr.match(/ [A-Z][a-z]/);
-    if (descMatch && descMatch.index !== undefined) {
-      returnStr = returnStr.slice(0, descMatch.index).trim();
+    // A description swallows the rest of the line, commas included
+    if (description) {
+      info.description = [description, ...parts.slice(i + 1)].join(', ');
+      returns.push(info);
+      break;
     }
+    returns.push(info);
+  }
 
-    // Handle Lua multi-return
-    const returnParts = splitByComma(returnStr);
-    if (returnParts.length > 1) {
-      const innerTypes = returnParts.map(t => convertLuaTypeToTS(t.trim()));
-      returnType = `LuaMultiReturn<[${innerTypes.join(', ')}]>`;
-    } else {
-      returnType = convertLuaTypeToTS(returnStr);
-    }
+  if (comment && returns.length > 0) {
+    const last = returns[returns.length - 1];
+    last.description = last.description ? `${last.description} ${comment}` : comment;
   }
+  return returns;
+}
 
-  const params = parseParams(paramsStr);
+/**
+ * @typedef {Object} ReturnInfo
+ * @property {string} type - Lua type
+ * @property {string} [name]
+ * @property {string} [description]
+ * @property {boolean} [variadic] - `@return T ...`: any number of trailing values
+ */
 
-  const tsParams = params.map((p) => {
-    if (p.name === 'self') {
-      return `this: ${p.type}`;
-    }
-    const tsType = convertLuaTypeToTS(p.type);
-    const opt = p.optional ? '?' : '';
-    return `${sanitizeParamName(p.name)}${opt}: ${tsType}`;
-  });
+/**
+ * @typedef {Object} DocTags
+ * @property {string|true} [deprecated] - `@deprecated`, with its reason when given
+ * @property {string[]} [see] - `@see` references
+ */
 
-  // If no self param, it's a static function
-  if (params.length === 0 || params[0].name !== 'self') {
-    tsParams.unshift(`this: void`);
-  }
+/**
+ * @typedef {Object} ParsedClass
+ * @property {string} name
+ * @property {number} [line] - Line of the class's first appearance in the API file
+ * @property {string} [description] - Comment lines above `@class`, one per line
+ * @property {string|true} [deprecated]
+ * @property {string[]} [see]
+ * @property {Array<{name: string, type: string, description?: string, isMethod: boolean, overloads?: string[], params?: Array<{name: string, description: string}>, returns?: ReturnInfo[], line?: number} & DocTags>} fields - Methods; overloads are extra `fun(...)` signatures from `@overload`, params the described `@param`s, returns the parsed `@return` values
+ * @property {Array<{name: string, type: string, description?: string, optional: boolean, line?: number} & DocTags>} dataFields - Data properties
+ * @property {Array<{keyType: string, valueType: string}>} indexSignatures
+ * @property {Map<string, number>} values - Numeric values assigned to fields in the Lua source (enum constants)
+ * @property {Set<string>} dataEntries - Keys assigned in the Lua source that are not enum constants: lists, strings, nested tables, string keys
+ * @property {string[]} parents - Parent types from `@class Name : Parent1, Parent2`
+ * @property {string|null} generics - Type parameters from `@class Name<T, K : Base>`
+ * @property {string[]} callSignatures - `fun(...)` types from `@overload` on the class itself (callable tables)
+ */
+
+/**
+ * @typedef {Object} AliasInfo
+ * @property {string} name
+ * @property {string} type - Lua type, `---|` members included
+ * @property {string} [description]
+ * @property {string|true} [deprecated]
+ * @property {string[]} [see]
+ * @property {Array<{type: string, description?: string}>} members - Values listed as `---| value # description`
+ */
+
+/**
+ * @typedef {Object} ParseResult
+ * @property {Map<string, ParsedClass>} classes
+ * @property {Map<string, AliasInfo>} aliases
+ * @property {string|null} detectedMainExport - From @type annotation
+ * @property {string|null} returnedClass - Class of the value in the file's trailing `return X`
+ * @property {string|null} returnedName - Variable in the file's trailing `return X`
+ * @property {Array<{target: string, entries: Map<string, TableValue>}>} tables - Table constructors and
+ *   field assignments, by assigned path (`x`, `x.field`)
+ * @property {string[]} warnings - Problems found while parsing or generating, reported per module
+ */
+
+/**
+ * Create an empty parsed class
+ * @param {string} name
+ * @param {number} [line] - Where the class first appears in the API file
+ * @returns {ParsedClass}
+ */
+function createClass(name, line) {
+  return { name, line, fields: [], dataFields: [], indexSignatures: [], values: new Map(), dataEntries: new Set(), parents: [], generics: null, callSignatures: [] };
+}
 
-  return `(${tsParams.join(', ')}) => ${returnType}`;
+/**
+ * Parse a Lua number literal (decimal, float or hex, optionally negative)
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseLuaNumber(text) {
+  const match = text.trim().match(/^(-)?\s*(?:0[xX]([0-9a-fA-F]+)|(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|\.\d+))$/);
+  if (!match) return null;
+  const value = match[2] !== undefined ? parseInt(match[2], 16) : Number(match[3]);
+  return match[1] ? -value : value;
 }
 
-function parseParams(paramsStr) {
-  if (!paramsStr.trim()) return [];
+/**
+ * A value of a Lua table constructor: a number or string literal, or a nested table
+ * @typedef {number|string|Map<string, TableValue>} TableValue
+ */
+
+// Block comments, blanked before parsing so their lines don't read as code
+const LUA_BLOCK_COMMENT = /--\[(=*)\[[\s\S]*?\]\1\]/g;
 
-  const params = [];
-  const parts = splitByComma(paramsStr);
+/**
+ * Parse a Lua table constructor into its entries. Positional entries are keyed
+ * by their index like in Lua. Numbers and strings are kept, nested tables
+ * become nested Maps, anything else is skipped.
+ * @param {string} text - Table source starting at `{`
+ * @returns {Map<string, TableValue>}
+ */
+function parseTableLiteral(text) {
+  let pos = 0;
 
-  for (const part of parts) {
-    let trimmed = part.trim();
-    if (!trimmed) continue;
+  function skipSpace() {
+    while (pos < text.length && /[\s,;]/.test(text[pos])) pos++;
+  }
 
-    // Handle varargs
-    if (trimmed.startsWith('...')) {
-      const colonIdx = trimmed.indexOf(':');
-      if (colonIdx !== -1) {
-        const type = trimmed.slice(colonIdx + 1).trim();
-        params.push({ name: '...args', type: type + '[]', optional: false, isVararg: true });
-      } else {
-        params.push({ name: '...args', type: 'any[]', optional: false, isVararg: true });
-      }
-      continue;
+  function skipString() {
+    const quote = text[pos++];
+    while (pos < text.length && text[pos] !== quote) {
+      if (text[pos] === '\\') pos++;
+      pos++;
     }
+    pos++;
+  }
 
-    const colonIdx = trimmed.indexOf(':');
-    if (colonIdx !== -1) {
-      let name = trimmed.slice(0, colonIdx).trim();
-      let type = trimmed.slice(colonIdx + 1).trim();
-      const optional = name.endsWith('?') || type.endsWith('?');
-      if (name.endsWith('?')) name = name.slice(0, -1);
-      if (type.endsWith('?')) type = type.slice(0, -1);
-      params.push({ name, type, optional });
-    } else {
-      params.push({ name: trimmed, type: 'any', optional: false });
+  // Skip an arbitrary expression up to the next top-level separator
+  function skipExpression() {
+    let depth = 0;
+    while (pos < text.length) {
+      const char = text[pos];
+      if (char === '"' || char === "'") { skipString(); continue; }
+      if ('([{'.includes(char)) depth++;
+      else if (')]}'.includes(char)) {
+        if (depth === 0) return;
+        depth--;
+      } else if ((char === ',' || char === ';') && depth === 0) return;
+      pos++;
     }
   }
 
-  return params;
+  function parseValue() {
+    if (text[pos] === '{') return parseTable();
+    const start = pos;
+    skipExpression();
+    const source = text.slice(start, pos).trim();
+    const string = source.match(/^"((?:[^"\\]|\\.)*)"$|^'((?:[^'\\]|\\.)*)'$/);
+    if (string) return (string[1] ?? string[2]).replace(/\\(.)/g, '$1');
+    return parseLuaNumber(source);
+  }
+
+  function parseTable() {
+    const entries = new Map();
+    let index = 0;
+    pos++; // {
+    for (;;) {
+      skipSpace();
+      if (pos >= text.length) return entries;
+      if (text[pos] === '}') { pos++; return entries; }
+
+      let key = null;
+      const bracketKey = text.slice(pos).match(/^\[\s*(?:"([^"]*)"|'([^']*)'|(-?\d+))\s*\]\s*=/);
+      const nameKey = text.slice(pos).match(/^([A-Za-z_]\w*)\s*=(?!=)/);
+      if (bracketKey) {
+        key = bracketKey[1] ?? bracketKey[2] ?? bracketKey[3];
+        pos += bracketKey[0].length;
+      } else if (nameKey) {
+        key = nameKey[1];
+        pos += nameKey[0].length;
+      }
+
+      skipSpace();
+      const start = pos;
+      const value = parseValue();
+      if (key === null) {
+        key = String(++index);
+      }
+      if (value !== null) {
+        entries.set(key, value);
+      }
+      // A stray closing bracket ends no expression, step over it
+      if (pos === start) pos++;
+    }
+  }
+
+  pos = text.indexOf('{');
+  return pos === -1 ? new Map() : parseTable();
 }
 
-function sanitizeParamName(name) {
-  const reserved = ['break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
-    'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'false',
-    'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'new',
-    'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try',
-    'typeof', 'var', 'void', 'while', 'with', 'yield'];
-  return reserved.includes(name) ? `_${name}` : name;
+/**
+ * Count the net brace depth change of a line of Lua code (ignoring strings)
+ * @param {string} code
+ * @returns {number}
+ */
+function braceDelta(code) {
+  const withoutStrings = code.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, '""');
+  return (withoutStrings.match(/\{/g) || []).length - (withoutStrings.match(/\}/g) || []).length;
 }
 
-// ============================================================================
-// Parsing API Files
-// ============================================================================
+/**
+ * Strip a trailing `--` comment from a line of Lua code
+ * @param {string} code
+ * @returns {string}
+ */
+function stripLuaComment(code) {
+  const withoutStrings = code.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, m => ' '.repeat(m.length));
+  const idx = withoutStrings.indexOf('--');
+  return (idx === -1 ? code : code.slice(0, idx)).trim();
+}
 
 /**
- * @typedef {Object} ParsedClass
- * @property {string} name
- * @property {Array<{name: string, type: string, description?: string, isMethod: boolean}>} fields - Methods
- * @property {Array<{name: string, type: string, description?: string, optional: boolean}>} dataFields - Data properties
- * @property {Array<{keyType: string, valueType: string}>} indexSignatures
+ * Copy table-literal and field assignments onto the classes they belong to.
+ * Nested tables are matched to classes by key name; only numbers under
+ * identifier keys become values, every other entry is recorded as data.
+ * @param {Map<string, ParsedClass>} classes
+ * @param {string|null} className
+ * @param {Map<string, TableValue>} entries
  */
+function applyTableValues(classes, className, entries) {
+  const cls = className ? classes.get(className) : null;
+  for (const [key, value] of entries) {
+    if (value instanceof Map) {
+      applyTableValues(classes, key, value);
+    }
+    if (cls && typeof value === 'number' && /^[A-Za-z_]\w*$/.test(key)) {
+      cls.values.set(key, value);
+    } else if (cls) {
+      cls.dataEntries.add(key);
+    }
+  }
+}
 
 /**
- * @typedef {Object} ParseResult
- * @property {Map<string, ParsedClass>} classes
- * @property {Map<string, {name: string, type: string}>} aliases
- * @property {string|null} detectedMainExport - From @type annotation
+ * Keep the `@param`s that have a description, for JSDoc
+ * @param {Array<{name: string, description?: string}>} params
+ * @returns {Array<{name: string, description: string}>}
  */
+function describedParams(params) {
+  return params.filter(p => p.description).map(p => ({ name: p.name, description: p.description }));
+}
 
 /**
  * Parse a LuaCATS API file and extract type information
@@ -569,16 +890,61 @@ function sanitizeParamName(name) {
 function parseApiFile(content) {
   const classes = new Map();
   const aliases = new Map();
-  const lines = content.split('\n');
+  const lines = content.replace(LUA_BLOCK_COMMENT, comment => comment.replace(/[^\n]/g, ' ')).split('\n');
 
   let currentClass = null;
   let currentDescription = [];
+  // @deprecated / @see of the next class, field or function
+  let pendingTags = {};
   let detectedMainExport = null;
   let pendingParams = [];
-  let pendingReturn = null;
-
-  for (const line of lines) {
+  let pendingReturns = [];
+  let pendingOverloads = [];
+  let pendingGenerics = null;
+  const warnings = [];
+
+  // Class declared by the last annotation block, bound to the next table assignment
+  let pendingClassDecl = null;
+  // Multi-line table constructor being collected: { className, target, text, depth }
+  let openTable = null;
+  const tableAssignments = [];
+  // Local tables bound to a class (`---@class X` + `local x = {}`), for `return x`
+  const variableClasses = new Map();
+  let returnedName = null;
+  // Alias whose `---| value` lines are being collected
+  let openAlias = null;
+
+  for (const [index, line] of lines.entries()) {
     const trimmed = line.trim();
+    const lineNumber = index + 1;
+    if (!trimmed.startsWith('---|')) {
+      openAlias = null;
+    }
+
+    // Collect the body of a multi-line table constructor
+    if (openTable) {
+      const code = stripLuaComment(trimmed);
+      openTable.text += '\n' + code;
+      openTable.depth += braceDelta(code);
+      if (openTable.depth <= 0) {
+        tableAssignments.push({ className: openTable.className, target: openTable.target, entries: parseTableLiteral(openTable.text) });
+        openTable = null;
+      }
+      continue;
+    }
+
+    // Handle Class.FIELD = <number> pattern (enum constant)
+    const valueAssignMatch = trimmed.match(/^([\w.]+)\.(\w+)\s*=\s*([^{=][^=]*?)\s*;?\s*(?:--.*)?$/);
+    if (valueAssignMatch && parseLuaNumber(valueAssignMatch[3]) !== null) {
+      const ownerParts = valueAssignMatch[1].split('.');
+      tableAssignments.push({
+        className: ownerParts[ownerParts.length - 1],
+        target: valueAssignMatch[1],
+        entries: new Map([[valueAssignMatch[2], parseLuaNumber(valueAssignMatch[3])]]),
+      });
+      pendingClassDecl = null;
+      continue;
+    }
 
     // Handle function Class.method(params) pattern
     const funcDeclMatch = trimmed.match(/^function\s+([\w.]+)\.(\w+)\s*\(([^)]*)\)/);
@@ -591,7 +957,7 @@ function parseApiFile(content) {
       const className = classNameParts[classNameParts.length - 1];
 
       if (!classes.has(className)) {
-        classes.set(className, { name: className, fields: [], dataFields: [], indexSignatures: [] });
+        classes.set(className, createClass(className, lineNumber));
       }
       const cls = classes.get(className);
 
@@ -607,20 +973,29 @@ function parseApiFile(content) {
         }
       }
 
-      const returnType = pendingReturn || 'void';
+      const returnType = formatReturnType(pendingReturns);
       // Dot-notation functions (function Class.method) have NO implicit self
       // Only colon-notation (function Class:method) has implicit self
-      const funType = `fun(${paramTypes.join(', ')}): ${returnType}`;
+      const funKeyword = pendingGenerics ? `fun<${pendingGenerics}>` : 'fun';
+      const funType = `${funKeyword}(${paramTypes.join(', ')}): ${returnType}`;
 
       cls.fields.push({
         name: methodName,
         type: funType,
-        description: currentDescription.join(' ') || undefined,
+        description: currentDescription.join('\n') || undefined,
         isMethod: true,
+        overloads: pendingOverloads.map(o => addGenericParams(o, pendingGenerics)),
+        params: describedParams(pendingParams),
+        returns: pendingReturns,
+        line: lineNumber,
+        ...pendingTags,
       });
 
       pendingParams = [];
-      pendingReturn = null;
+      pendingTags = {};
+      pendingReturns = [];
+      pendingOverloads = [];
+      pendingGenerics = null;
       currentDescription = [];
       continue;
     }
@@ -633,7 +1008,7 @@ function parseApiFile(content) {
       const paramsStr = funcColonMatch[3];
 
       if (!classes.has(className)) {
-        classes.set(className, { name: className, fields: [], dataFields: [], indexSignatures: [] });
+        classes.set(className, createClass(className, lineNumber));
       }
       const cls = classes.get(className);
 
@@ -649,19 +1024,29 @@ function parseApiFile(content) {
         }
       }
 
-      const returnType = pendingReturn || 'void';
+      const returnType = formatReturnType(pendingReturns);
       // Colon-notation has implicit self
-      const funType = `fun(self: ${className}${paramTypes.length > 0 ? ', ' + paramTypes.join(', ') : ''}): ${returnType}`;
+      const funKeyword = pendingGenerics ? `fun<${pendingGenerics}>` : 'fun';
+      const funType = `${funKeyword}(self: ${className}${paramTypes.length > 0 ? ', ' + paramTypes.join(', ') : ''}): ${returnType}`;
 
       cls.fields.push({
         name: methodName,
         type: funType,
-        description: currentDescription.join(' ') || undefined,
+        description: currentDescription.join('\n') || undefined,
         isMethod: true,
+        // Overloads are written without self; add it so they stay colon-notation methods
+        overloads: pendingOverloads.map(o => addGenericParams(addSelfParam(o, className), pendingGenerics)),
+        params: describedParams(pendingParams),
+        returns: pendingReturns,
+        line: lineNumber,
+        ...pendingTags,
       });
 
       pendingParams = [];
-      pendingReturn = null;
+      pendingTags = {};
+      pendingReturns = [];
+      pendingOverloads = [];
+      pendingGenerics = null;
       currentDescription = [];
       continue;
     }
@@ -673,7 +1058,7 @@ function parseApiFile(content) {
       const fieldName = subclassAssignMatch[2];
 
       if (!classes.has(parentClassName)) {
-        classes.set(parentClassName, { name: parentClassName, fields: [], dataFields: [], indexSignatures: [] });
+        classes.set(parentClassName, createClass(parentClassName, lineNumber));
       }
       const parentCls = classes.get(parentClassName);
 
@@ -682,7 +1067,50 @@ function parseApiFile(content) {
         type: currentClass,
         description: undefined,
         optional: false,
+        line: lineNumber,
       });
+      parentCls.dataEntries.add(fieldName);
+      if (pendingClassDecl) {
+        classes.get(pendingClassDecl).callSignatures.push(...pendingOverloads);
+      }
+      pendingOverloads = [];
+      pendingClassDecl = null;
+      continue;
+    }
+
+    // Handle X = { ... } / local X = { ... } table constructors (enum values)
+    const tableAssignMatch = trimmed.match(/^(?:local\s+)?([\w.]+)\s*=\s*(\{.*)$/);
+    if (tableAssignMatch) {
+      const targetParts = tableAssignMatch[1].split('.');
+      const targetName = targetParts[targetParts.length - 1];
+      const className = pendingClassDecl || targetName;
+      const code = stripLuaComment(tableAssignMatch[2]);
+
+      // enums.buff_type = { ... } under ---@class buff_type exposes the class on its parent
+      if (pendingClassDecl && targetParts.length > 1) {
+        const parentClassName = targetParts[targetParts.length - 2];
+        const parentCls = classes.get(parentClassName);
+        if (parentCls && !parentCls.dataFields.some(f => f.name === targetName)) {
+          parentCls.dataFields.push({ name: targetName, type: pendingClassDecl, description: undefined, optional: false, line: lineNumber });
+        }
+        if (parentCls) parentCls.dataEntries.add(targetName);
+      }
+      if (pendingClassDecl && targetParts.length === 1) {
+        variableClasses.set(targetName, pendingClassDecl);
+      }
+
+      // ---@overload directly on a class makes the table callable
+      if (pendingClassDecl) {
+        classes.get(pendingClassDecl).callSignatures.push(...pendingOverloads);
+      }
+      pendingOverloads = [];
+      pendingClassDecl = null;
+
+      if (braceDelta(code) > 0) {
+        openTable = { className, target: tableAssignMatch[1], text: code, depth: braceDelta(code) };
+      } else {
+        tableAssignments.push({ className, target: tableAssignMatch[1], entries: parseTableLiteral(code) });
+      }
       continue;
     }
 
@@ -690,9 +1118,16 @@ function parseApiFile(content) {
       if (trimmed === '' || trimmed.startsWith('--') || trimmed.startsWith('_G.')) {
         continue;
       }
+      // Only the last top-level statement counts as the module's return value
+      const returnStatementMatch = trimmed.match(/^return\s+(\w+)\s*;?$/);
+      returnedName = returnStatementMatch ? returnStatementMatch[1] : null;
       currentDescription = [];
       pendingParams = [];
-      pendingReturn = null;
+      pendingReturns = [];
+      pendingOverloads = [];
+      pendingGenerics = null;
+      pendingClassDecl = null;
+      pendingTags = {};
       continue;
     }
 
@@ -705,51 +1140,122 @@ function parseApiFile(content) {
       continue;
     }
 
-    // @alias
-    const aliasMatch = lineContent.match(/^@alias\s+(\w+)\s+(.+)$/);
+    // @alias Name [type] - the type may instead follow as `---| value # description` lines
+    const aliasMatch = lineContent.match(/^@alias\s+(\w+)(?:\s+(.+))?$/);
     if (aliasMatch) {
-      aliases.set(aliasMatch[1], { name: aliasMatch[1], type: aliasMatch[2].trim() });
+      openAlias = {
+        name: aliasMatch[1],
+        type: aliasMatch[2] ? splitTypeAndDescription(aliasMatch[2]).type : '',
+        description: currentDescription.join('\n') || undefined,
+        members: [],
+        ...pendingTags,
+      };
+      aliases.set(openAlias.name, openAlias);
+      currentDescription = [];
+      pendingTags = {};
       continue;
     }
 
-    // @class
-    const classMatch = lineContent.match(/^@class\s+(\w+)/);
-    if (classMatch) {
-      currentClass = classMatch[1];
-      if (!classes.has(currentClass)) {
-        classes.set(currentClass, { name: currentClass, fields: [], dataFields: [], indexSignatures: [] });
+    // ---| "value" # description (`---|>` marks the default)
+    const aliasMemberMatch = lineContent.match(/^\|\s*[>+]?\s*(.+)$/);
+    if (aliasMemberMatch && openAlias) {
+      const { type, description } = splitTypeAndDescription(aliasMemberMatch[1]);
+      // A type on the @alias line itself is the first, undocumented member
+      if (openAlias.members.length === 0 && openAlias.type) {
+        openAlias.members.push({ type: openAlias.type });
       }
+      openAlias.members.push({ type, description: description.replace(/^(?:#|--|@)\s*/, '') || undefined });
+      openAlias.type = [openAlias.type, type].filter(Boolean).join('|');
       continue;
     }
 
-    // @param
-    const paramMatch = lineContent.match(/^@param\s+(\w+\??)\s+(\S+)(?:\s+(.*))?$/);
+    // @class Name[<T>] [: Parent1, Parent2]
+    const classMatch = lineContent.match(/^@class\s+(?:\((?:exact|partial)\)\s+)?(\w+)(?:\s*<([^>]+)>)?(?:\s*:\s*(.+))?$/);
+    if (classMatch) {
+      currentClass = classMatch[1];
+      if (!classes.has(currentClass)) {
+        classes.set(currentClass, createClass(currentClass, lineNumber));
+      }
+      if (currentDescription.length > 0) {
+        classes.get(currentClass).description = currentDescription.join('\n');
+        currentDescription = [];
+      }
+      Object.assign(classes.get(currentClass), pendingTags);
+      pendingTags = {};
+      if (classMatch[2]) {
+        classes.get(currentClass).generics = classMatch[2].trim();
+      }
+      if (classMatch[3]) {
+        const cls = classes.get(currentClass);
+        // Drop a trailing description (`@ text` or `# text`)
+        const parentList = classMatch[3].replace(/\s+[@#].*$/, '').trim();
+        for (const parent of splitByComma(parentList)) {
+          if (parent && !cls.parents.includes(parent)) {
+            cls.parents.push(parent);
+          }
+        }
+      }
+      pendingClassDecl = currentClass;
+      continue;
+    }
+
+    // @generic T, K : Base - type parameters of the next function
+    const genericMatch = lineContent.match(/^@generic\s+(.+)$/);
+    if (genericMatch) {
+      const generics = genericMatch[1].replace(/\s+[@#].*$/, '').trim();
+      pendingGenerics = pendingGenerics ? `${pendingGenerics}, ${generics}` : generics;
+      continue;
+    }
+
+    // @overload fun(...): ret - alternative call shape for the next function (or the class)
+    const overloadMatch = lineContent.match(/^@overload\s+(fun\s*\(.*)$/);
+    if (overloadMatch) {
+      pendingOverloads.push(overloadMatch[1].trim());
+      continue;
+    }
+
+    // @param
+    const paramMatch = lineContent.match(/^@param\s+(\.\.\.|\w+\??)\s+(.+)$/);
     if (paramMatch) {
       let paramName = paramMatch[1];
-      const paramType = paramMatch[2];
+      const { type: paramType, description } = splitTypeAndDescription(paramMatch[2]);
       const isOptional = paramName.endsWith('?');
       if (isOptional) paramName = paramName.slice(0, -1);
-      pendingParams.push({ name: paramName, type: paramType, optional: isOptional });
+      pendingParams.push({
+        name: paramName,
+        type: paramType,
+        optional: isOptional,
+        description: description.replace(/^(?:#|--|@)\s*/, '') || undefined,
+      });
+      continue;
+    }
+
+    // @vararg type - legacy EmmyLua form of `@param ... type`
+    const varargMatch = lineContent.match(/^@vararg\s+(.+)$/);
+    if (varargMatch) {
+      const { type, description } = splitTypeAndDescription(varargMatch[1]);
+      pendingParams.push({ name: '...', type, optional: false, description: description.replace(/^(?:#|--|@)\s*/, '') || undefined });
+      continue;
+    }
+
+    // @deprecated [reason]
+    const deprecatedMatch = lineContent.match(/^@deprecated\b\s*(.*)$/);
+    if (deprecatedMatch) {
+      pendingTags.deprecated = deprecatedMatch[1].trim() || true;
+      continue;
+    }
+
+    // @see reference
+    const seeMatch = lineContent.match(/^@see\s+(.+)$/);
+    if (seeMatch) {
+      pendingTags.see = [...(pendingTags.see || []), seeMatch[1].trim()];
       continue;
     }
 
-    // @return
+    // @return - consecutive lines and comma-separated lists add return values
     const returnMatch = lineContent.match(/^@return\s+(.+)$/);
     if (returnMatch) {
-      let returnTypeStr = returnMatch[1].trim();
-      const descMatch = returnTypeStr.match(/ [A-Z][a-z]| --/);
-      if (descMatch && descMatch.index !== undefined) {
-        returnTypeStr = returnTypeStr.slice(0, descMatch.index).trim();
-      }
-      const typeKeywords = ['nil', 'string', 'number', 'boolean', 'integer', 'any', 'void', 'table', 'function'];
-      const trailingWordMatch = returnTypeStr.match(/ ([a-z_]\w*)$/);
-      if (trailingWordMatch && !typeKeywords.includes(trailingWordMatch[1])) {
-        returnTypeStr = returnTypeStr.slice(0, trailingWordMatch.index).trim();
-      }
-      if (returnTypeStr.match(/[>\]\w]\s+\w/)) {
-        returnTypeStr = 'any';
-      }
-      pendingReturn = returnTypeStr;
+      pendingReturns.push(...parseReturnAnnotation(returnMatch[1]));
       continue;
     }
 
@@ -774,37 +1280,38 @@ function parseApiFile(content) {
       const isOptional = fieldName.endsWith('?');
       if (isOptional) fieldName = fieldName.slice(0, -1);
 
-      let description = currentDescription.join(' ') || undefined;
+      const { type: cleanType, description: trailingText } = splitTypeAndDescription(fieldType);
+      const inlineDesc = trailingText.replace(/^(?:#|--|@)\s*/, '');
+      const description = [...currentDescription, inlineDesc].filter(Boolean).join('\n') || undefined;
 
-      if (fieldType.startsWith('fun(') || fieldType.startsWith('fun ')) {
+      // Function types, generic ones (fun<T>(...)) included, are methods
+      const typeNode = parseLuaType(cleanType);
+      if (typeNode && typeNode.kind === 'fun') {
         const existingIdx = cls.fields.findIndex(f => f.name === fieldName);
-        const hasSelf = fieldType.includes('self:') || fieldType.includes('self :');
+        const hasSelf = cleanType.includes('self:') || cleanType.includes('self :');
+        const field = { name: fieldName, type: cleanType, description, isMethod: true, line: lineNumber, ...pendingTags };
 
         if (existingIdx !== -1) {
           const existingHasSelf = cls.fields[existingIdx].type.includes('self:') ||
                                    cls.fields[existingIdx].type.includes('self :');
           if (hasSelf && !existingHasSelf) {
-            cls.fields[existingIdx] = { name: fieldName, type: fieldType, description, isMethod: true };
+            cls.fields[existingIdx] = field;
           }
         } else {
-          cls.fields.push({ name: fieldName, type: fieldType, description, isMethod: true });
+          cls.fields.push(field);
         }
       } else {
-        const descMatch = fieldType.match(/ [A-Z][a-z]/);
-        let cleanType = fieldType;
-        let inlineDesc = null;
-        if (descMatch && descMatch.index !== undefined) {
-          cleanType = fieldType.slice(0, descMatch.index).trim();
-          inlineDesc = fieldType.slice(descMatch.index).trim();
-        }
         cls.dataFields.push({
           name: fieldName,
           type: cleanType,
-          description: description || inlineDesc,
+          description,
           optional: isOptional,
+          line: lineNumber,
+          ...pendingTags,
         });
       }
       currentDescription = [];
+      pendingTags = {};
       continue;
     }
 
@@ -814,7 +1321,30 @@ function parseApiFile(content) {
     }
   }
 
-  return { classes, aliases, detectedMainExport };
+  for (const { className, target, entries } of tableAssignments) {
+    // buff_db.BLOODLUST = { ... } without a class of its own is an entry of buff_db
+    const targetParts = target ? target.split('.') : [];
+    if (!classes.has(className) && targetParts.length > 1) {
+      applyTableValues(classes, targetParts[targetParts.length - 2], new Map([[className, entries]]));
+    } else {
+      applyTableValues(classes, className, entries);
+    }
+  }
+
+  // Classes declared only through a table constructor get their fields from its values,
+  // unless the table also holds data the values can't describe
+  for (const cls of classes.values()) {
+    const isBare = cls.dataFields.length === 0 && cls.fields.length === 0 && cls.indexSignatures.length === 0;
+    if (isBare && cls.values.size > 0 && cls.dataEntries.size === 0) {
+      for (const name of cls.values.keys()) {
+        cls.dataFields.push({ name, type: 'integer', description: undefined, optional: false });
+      }
+    }
+  }
+
+  const returnedClass = returnedName ? (variableClasses.get(returnedName) || returnedName) : null;
+
+  return { classes, aliases, detectedMainExport, returnedClass, returnedName, tables: tableAssignments, warnings };
 }
 
 // ============================================================================
@@ -858,16 +1388,154 @@ function filterClasses(classes, filterPatterns) {
   return filtered;
 }
 
+// ============================================================================
+// Module Discovery
+// ============================================================================
+
+/**
+ * Module configuration schema:
+ *
+ * @typedef {Object} ModuleConfig
+ * @property {string} file - Source .lua/.api file path relative to API_DIR
+ * @property {string|null} [mainExport] - Interface name for default export. If null, no module declaration is generated.
+ * @property {string[]} [filterClasses] - Only include classes matching these patterns (supports trailing * wildcard)
+ * @property {boolean} [declareGlobalVar] - If true, emits `declare const X: X;` for the main export
+ * @property {'auto'|boolean} [noSelf] - Which interfaces get `@noSelf` instead of `this: void` on every
+ *   static function: 'auto' (default) for classes with only static functions, true for every class
+ *   with static functions, false for none
+ * @property {string} [catalog] - Also emit the file's data table as an ID catalog, a const object with this name
+ * @property {boolean} [runtimeOnly] - Only list the module in the runtime module registry, without a declaration file
+ */
+
+/**
+ * List .lua files below a directory, as sorted forward-slash paths relative to it
+ * @param {string} dir
+ * @param {string} [prefix]
+ * @returns {string[]}
+ */
+function listLuaFiles(dir, prefix = '') {
+  const files = [];
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const relPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listLuaFiles(path.join(dir, entry.name), relPath));
+    } else if (entry.name.endsWith('.lua')) {
+      files.push(relPath);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * List .d.ts files below a directory, as sorted forward-slash paths relative to it
+ * @param {string} dir
+ * @param {string} [prefix]
+ * @returns {string[]}
+ */
+function listDeclarationFiles(dir, prefix = '') {
+  if (!fs.existsSync(dir)) return [];
+  const files = [];
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const relPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listDeclarationFiles(path.join(dir, entry.name), relPath));
+    } else if (entry.name.endsWith('.d.ts')) {
+      files.push(relPath);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Load module overrides from scripts/api-modules.js (optional)
+ * @returns {Record<string, Partial<ModuleConfig>|false>}
+ */
+function loadModuleOverrides() {
+  return fs.existsSync(MODULE_OVERRIDES_PATH) ? require(MODULE_OVERRIDES_PATH) : {};
+}
+
+/**
+ * Discover modules from the API directory and merge the overrides on top.
+ * The module path of a file is its path without `.lua` (and without a trailing `/init`).
+ * @param {string} apiDir
+ * @param {Record<string, Partial<ModuleConfig>|false>} overrides
+ * @returns {Record<string, ModuleConfig>}
+ */
+function discoverModules(apiDir, overrides) {
+  const modules = {};
+
+  // Files claimed by an override under another module path are not discovered on their own
+  const claimedFiles = new Set(Object.values(overrides).filter(o => o && o.file).map(o => o.file));
+
+  for (const file of listLuaFiles(apiDir)) {
+    if (claimedFiles.has(file)) continue;
+    const modulePath = file.replace(/\.lua$/, '').replace(/\/init$/, '');
+    modules[modulePath] = { file };
+  }
+
+  for (const [modulePath, override] of Object.entries(overrides)) {
+    if (override === false || override.runtimeOnly) {
+      delete modules[modulePath];
+      continue;
+    }
+    const file = override.file || (modules[modulePath] && modules[modulePath].file) || `${modulePath}.lua`;
+    modules[modulePath] = { ...modules[modulePath], ...override, file };
+  }
+
+  const sorted = {};
+  for (const modulePath of Object.keys(modules).sort()) {
+    sorted[modulePath] = modules[modulePath];
+  }
+  return sorted;
+}
+
+/**
+ * Infer the main export of a module: the `---@type` class, else the class of the
+ * file's trailing `return X`, else a class named like the file (core.lua -> core),
+ * as long as the module's class filter keeps it
+ * @param {ParseResult} parseResult
+ * @param {ModuleConfig} config
+ * @returns {string|undefined}
+ */
+function inferMainExport(parseResult, config) {
+  const classes = filterClasses(parseResult.classes, config.filterClasses);
+  const baseName = path.basename(config.file, '.lua');
+  for (const candidate of [parseResult.detectedMainExport, parseResult.returnedClass, baseName]) {
+    if (candidate && classes.has(candidate)) return candidate;
+  }
+  return undefined;
+}
+
 // ============================================================================
 // Enum Detection
 // ============================================================================
 
-function isEnumLikeClass(cls) {
+/**
+ * @param {ParsedClass} cls
+ * @param {Set<string>} [extendedClasses] - Classes used as a parent, which are never enums
+ */
+function isEnumLikeClass(cls, extendedClasses = new Set()) {
   const hasDataFields = cls.dataFields && cls.dataFields.length > 0;
   const hasMethods = cls.fields && cls.fields.length > 0;
   const hasIndexSigs = cls.indexSignatures && cls.indexSignatures.length > 0;
+  const hasParents = cls.parents && cls.parents.length > 0;
+
+  if (!hasDataFields || hasMethods || hasIndexSigs || hasParents) return false;
+  if (extendedClasses.has(cls.name)) return false;
 
-  if (!hasDataFields || hasMethods || hasIndexSigs) return false;
+  // A table mixing IDs with lists or strings is data, an enum would drop the rest
+  if (cls.dataEntries && cls.dataEntries.size > 0) return false;
+
+  // Without any assigned values, only CONSTANT_CASE fields look like enum members;
+  // lowercase number-only classes (e.g. { id: integer }) are data types
+  const hasValues = cls.values && cls.values.size > 0;
+  if (!hasValues && !cls.dataFields.every(f => /^[A-Z][A-Z0-9_]*$/.test(f.name))) return false;
 
   for (const field of cls.dataFields) {
     const fieldType = field.type.toLowerCase().trim();
@@ -878,22 +1546,38 @@ function isEnumLikeClass(cls) {
 }
 
 /**
- * Generate a TypeScript enum from a parsed class
+ * Generate a TypeScript enum from a parsed class, using the values assigned in the Lua source.
+ * If any member has no known value, a `declare const` object is emitted instead, with
+ * `number` for the unknown members, and the missing names are reported as a warning.
  * @param {string} className
  * @param {ParsedClass} cls
+ * @param {string[]} warnings
  * @returns {string[]}
  */
-function generateEnum(className, cls) {
+function generateEnum(className, cls, warnings) {
   const lines = [];
+  const missing = cls.dataFields.filter(f => !cls.values.has(f.name)).map(f => f.name);
+  lines.push(...formatDocComment(cls));
+
+  if (missing.length > 0) {
+    warnings.push(`enum ${className}: no value found for ${missing.join(', ')}`);
+
+    lines.push(`declare const ${className}: {`);
+    for (const field of cls.dataFields) {
+      lines.push(...formatDocComment(field, '  '));
+      const value = cls.values.has(field.name) ? cls.values.get(field.name) : 'number';
+      lines.push(`  readonly ${field.name}: ${value};`);
+    }
+    lines.push(`};`);
+    lines.push(`type ${className} = (typeof ${className})[keyof typeof ${className}];`);
+    return lines;
+  }
 
   lines.push(`declare enum ${className} {`);
 
   for (const field of cls.dataFields) {
-    if (field.description) {
-      lines.push(`  /** ${field.description} */`);
-    }
-    // Emit enum member without explicit value (TypeScript will auto-number)
-    lines.push(`  ${field.name},`);
+    lines.push(...formatDocComment(field, '  '));
+    lines.push(`  ${field.name} = ${cls.values.get(field.name)},`);
   }
 
   lines.push(`}`);
@@ -901,332 +1585,1811 @@ function generateEnum(className, cls) {
 }
 
 // ============================================================================
-// Declaration Generation
+// Symbol Table
 // ============================================================================
 
-const RESERVED_METHOD_NAMES = ['new', 'delete', 'default', 'class', 'function', 'return', 'typeof', 'import', 'export'];
+/**
+ * @typedef {Object} ClassDefinition
+ * @property {string} modulePath
+ * @property {string} file - API file relative to API_DIR
+ * @property {ParsedClass} cls - The class as declared in that file
+ */
 
 /**
- * Generate a TypeScript interface from a parsed class
- * @param {string} className
- * @param {ParsedClass} cls
- * @param {Set<string>} enumClasses - Set of class names that are enums
- * @returns {string[]}
+ * @typedef {Object} IndexedClass
+ * @property {string} modulePath - Module whose declaration file emits the class
+ * @property {ParsedClass} cls - Members of all definitions, merged
+ * @property {ClassDefinition[]} definitions - Every file declaring the class, owner first
  */
-function generateInterface(className, cls, enumClasses) {
-  const lines = [];
-  currentClassName = className;
 
-  lines.push(`interface ${className} {`);
+/**
+ * @typedef {Object} ClassConflict
+ * @property {string} className
+ * @property {string} member - Conflicting member, or `<T>` for the class's type parameters
+ * @property {{location: string, type: string}} kept - From the owning file
+ * @property {{location: string, type: string}} dropped
+ */
 
-  // Index signatures
-  for (const sig of cls.indexSignatures || []) {
-    lines.push(`  [key: ${convertLuaTypeToTS(sig.keyType)}]: ${convertLuaTypeToTS(sig.valueType)};`);
+/**
+ * Build the symbol table of every class emitted by any module. A class declared
+ * in several API files is emitted once, by its owner: the module exporting it,
+ * else the file named after it, else the first module declaring it. The other
+ * files' members are merged in; members they declare differently are reported.
+ * @param {Record<string, ModuleConfig>} modules
+ * @param {(file: string) => ParseResult|null} loadParseResult
+ * @param {ClassConflict[]} [conflicts] - Receives conflicting definitions
+ * @returns {Map<string, IndexedClass>}
+ */
+function buildClassIndex(modules, loadParseResult, conflicts = []) {
+  /** @type {Map<string, ClassDefinition[]>} */
+  const definitions = new Map();
+  for (const [modulePath, config] of Object.entries(modules)) {
+    const parseResult = loadParseResult(config.file);
+    if (!parseResult) continue;
+
+    for (const [name, cls] of filterClasses(parseResult.classes, config.filterClasses)) {
+      if (!definitions.has(name)) definitions.set(name, []);
+      // Modules sharing a file (geometry.lua) see the same definition
+      if (!definitions.get(name).some(def => def.file === config.file)) {
+        definitions.get(name).push({ modulePath, file: config.file, cls });
+      }
+    }
   }
 
-  // Data fields
-  for (const field of cls.dataFields || []) {
-    if (field.description) {
-      lines.push(`  /** ${field.description} */`);
-    }
-    let tsType = convertLuaTypeToTS(field.type);
-    if (enumClasses.has(tsType)) {
-      tsType = `typeof ${tsType}`;
-    }
-    const optMark = field.optional ? '?' : '';
-    lines.push(`  ${field.name}${optMark}: ${tsType};`);
+  const index = new Map();
+  for (const [name, defs] of definitions) {
+    const owner = defs.find(def => modules[def.modulePath].mainExport === name)
+      || defs.find(def => path.posix.basename(def.file, '.lua') === name)
+      || defs[0];
+    const ordered = [owner, ...defs.filter(def => def !== owner)];
+    index.set(name, { modulePath: owner.modulePath, cls: mergeClassDefinitions(ordered, conflicts), definitions: ordered });
   }
+  return index;
+}
 
-  // Methods
-  for (const field of cls.fields || []) {
-    if (field.description) {
-      lines.push(`  /** ${field.description} */`);
+/**
+ * Merge the definitions of a class, owner first. Members missing from the owner
+ * are added; members declared with a different type keep the owner's version.
+ * @param {ClassDefinition[]} definitions
+ * @param {ClassConflict[]} conflicts
+ * @returns {ParsedClass}
+ */
+function mergeClassDefinitions(definitions, conflicts) {
+  const [owner, ...others] = definitions;
+  if (others.length === 0) return owner.cls;
+
+  const merged = {
+    ...owner.cls,
+    fields: [...owner.cls.fields],
+    dataFields: [...owner.cls.dataFields],
+    indexSignatures: [...owner.cls.indexSignatures],
+    values: new Map(owner.cls.values),
+    dataEntries: new Set(owner.cls.dataEntries),
+    parents: [...owner.cls.parents],
+    callSignatures: [...owner.cls.callSignatures],
+  };
+
+  const normalize = type => type.replace(/\s+/g, '');
+  const location = (def, line) => `${def.file}:${line || def.cls.line || '?'}`;
+  /** @type {Map<string, {def: ClassDefinition, member: {type: string, line?: number}}>} */
+  const origins = new Map();
+  for (const member of [...owner.cls.dataFields, ...owner.cls.fields]) {
+    origins.set(member.name, { def: owner, member });
+  }
+
+  for (const def of others) {
+    const cls = def.cls;
+    for (const [list, members] of [[merged.dataFields, cls.dataFields], [merged.fields, cls.fields]]) {
+      for (const member of members) {
+        const origin = origins.get(member.name);
+        if (!origin) {
+          list.push(member);
+          origins.set(member.name, { def, member });
+        } else if (normalize(origin.member.type) !== normalize(member.type)) {
+          conflicts.push({
+            className: cls.name,
+            member: member.name,
+            kept: { location: location(origin.def, origin.member.line), type: origin.member.type },
+            dropped: { location: location(def, member.line), type: member.type },
+          });
+        }
+      }
     }
 
-    const funType = parseFunType(field.type);
-    let methodSig = funType.replace(/^\(/, '');
-    const lastArrowIdx = methodSig.lastIndexOf(') => ');
-    if (lastArrowIdx !== -1) {
-      methodSig = methodSig.slice(0, lastArrowIdx) + '): ' + methodSig.slice(lastArrowIdx + 5);
+    for (const sig of cls.indexSignatures) {
+      if (!merged.indexSignatures.some(s => s.keyType === sig.keyType && s.valueType === sig.valueType)) {
+        merged.indexSignatures.push(sig);
+      }
+    }
+    for (const [name, value] of cls.values) {
+      if (!merged.values.has(name)) merged.values.set(name, value);
+    }
+    for (const name of cls.dataEntries) merged.dataEntries.add(name);
+    for (const parent of cls.parents) {
+      if (!merged.parents.includes(parent)) merged.parents.push(parent);
+    }
+    for (const callType of cls.callSignatures) {
+      if (!merged.callSignatures.includes(callType)) merged.callSignatures.push(callType);
     }
 
-    const methodName = RESERVED_METHOD_NAMES.includes(field.name) ? `"${field.name}"` : field.name;
-    lines.push(`  ${methodName}(${methodSig};`);
+    if (cls.generics && !merged.generics) {
+      merged.generics = cls.generics;
+    } else if (cls.generics && normalize(cls.generics) !== normalize(merged.generics)) {
+      conflicts.push({
+        className: cls.name,
+        member: '<T>',
+        kept: { location: location(owner), type: `<${merged.generics}>` },
+        dropped: { location: location(def), type: `<${cls.generics}>` },
+      });
+    }
   }
+  return merged;
+}
 
-  lines.push(`}`);
-  return lines;
+/**
+ * Select the classes a module emits: those it owns, with every file's members
+ * merged in. Classes owned by another module are left to that module.
+ * @param {string} modulePath
+ * @param {Map<string, ParsedClass>} classes - The module's classes after filterClasses
+ * @param {Map<string, IndexedClass>} classIndex
+ * @returns {Map<string, ParsedClass>}
+ */
+function getOwnedClasses(modulePath, classes, classIndex) {
+  const owned = new Map();
+  for (const [name, cls] of classes) {
+    const indexed = classIndex.get(name);
+    if (!indexed) {
+      owned.set(name, cls);
+    } else if (indexed.modulePath === modulePath) {
+      owned.set(name, indexed.cls);
+    }
+  }
+  return owned;
 }
 
 /**
- * Generate complete TypeScript declaration file
- *
- * @param {string} modulePath - Import path like 'common/modules/buff_manager'
- * @param {ModuleConfig} config
- * @param {ParseResult} parseResult
- * @returns {string}
+ * Format conflicting class definitions for the console
+ * @param {ClassConflict[]} conflicts
+ * @returns {string[]}
  */
-function generateDeclaration(modulePath, config, parseResult) {
-  const { classes, aliases, detectedMainExport } = parseResult;
+function formatClassConflicts(conflicts) {
   const lines = [];
+  for (const conflict of conflicts) {
+    lines.push(`  ${conflict.className}.${conflict.member}`);
+    lines.push(`    kept:    ${conflict.kept.location}  ${conflict.kept.type}`);
+    lines.push(`    ignored: ${conflict.dropped.location}  ${conflict.dropped.type}`);
+  }
+  return lines;
+}
 
-  // Header
-  lines.push(`// Auto-generated from Sylvanas API`);
-  lines.push(`// Source: ${config.file}`);
-  lines.push(`// Do not edit manually`);
-  lines.push(``);
+// ============================================================================
+// Inheritance
+// ============================================================================
 
-  // Filter classes if specified
-  const filteredClasses = filterClasses(classes, config.filterClasses);
+const LUA_BUILTIN_TYPES = ['nil', 'any', 'boolean', 'string', 'number', 'integer', 'function', 'table', 'thread', 'userdata', 'lightuserdata'];
 
-  // Generate type aliases (global scope)
-  if (aliases.size > 0) {
-    for (const [aliasName, alias] of aliases) {
-      const tsType = convertLuaAliasToTS(alias.type);
-      lines.push(`type ${aliasName} = ${tsType};`);
-    }
-    lines.push(``);
-  }
+/**
+ * Collect every class name used as a parent, in the index or the current file
+ * @param {Map<string, IndexedClass>} classIndex
+ * @param {Map<string, ParsedClass>} localClasses
+ * @returns {Set<string>}
+ */
+function collectExtendedClasses(classIndex, localClasses) {
+  const extended = new Set();
+  for (const { cls } of classIndex.values()) cls.parents.forEach(p => extended.add(p));
+  for (const cls of localClasses.values()) cls.parents.forEach(p => extended.add(p));
+  return extended;
+}
 
-  // First pass: identify enums
-  const enumClasses = new Set();
-  for (const [className, cls] of filteredClasses) {
-    if (isEnumLikeClass(cls)) {
-      enumClasses.add(className);
+/**
+ * Collect the names of all members a class declares, including inherited ones
+ * @param {ParsedClass} cls
+ * @param {(name: string) => ParsedClass|null} lookup
+ * @param {Set<string>} [seen] - Guards against inheritance cycles
+ * @returns {Set<string>}
+ */
+function collectMemberNames(cls, lookup, seen = new Set()) {
+  const names = new Set();
+  if (seen.has(cls.name)) return names;
+  seen.add(cls.name);
+
+  for (const field of cls.dataFields) names.add(field.name);
+  for (const field of cls.fields) names.add(field.name);
+  for (const parent of cls.parents) {
+    const parentCls = lookup(parent.replace(/<.*$/, '').trim());
+    if (parentCls) {
+      for (const name of collectMemberNames(parentCls, lookup, seen)) names.add(name);
     }
   }
+  return names;
+}
 
-  // Generate enums
-  for (const [className, cls] of filteredClasses) {
-    if (enumClasses.has(className)) {
-      lines.push(...generateEnum(className, cls));
-      lines.push(``);
+/**
+ * Resolve the `extends` clause of an interface.
+ *
+ * Parents are looked up in the current file first, then in the class index.
+ * Lua builtins are dropped, `table<K, V>` parents become index signatures, and
+ * members the child redeclares are omitted from the parent so overrides with a
+ * different signature still typecheck. Unresolvable parents are reported.
+ *
+ * @param {ParsedClass} cls
+ * @param {Map<string, ParsedClass>} localClasses
+ * @param {Map<string, IndexedClass>} classIndex
+ * @param {string[]} warnings
+ * @returns {{heritage: string[], indexSignatures: Array<{keyType: string, valueType: string}>}}
+ */
+function resolveParents(cls, localClasses, classIndex, warnings) {
+  const heritage = [];
+  const indexSignatures = [];
+  const lookup = name => localClasses.get(name) || (classIndex.has(name) ? classIndex.get(name).cls : null);
+  const ownMembers = new Set([...cls.dataFields, ...cls.fields].map(f => f.name));
+
+  for (const parent of cls.parents) {
+    const tableMatch = parent.match(/^table<(.+)>$/);
+    if (tableMatch) {
+      const parts = splitByComma(tableMatch[1]);
+      if (parts.length === 2) {
+        indexSignatures.push({ keyType: parts[0].trim(), valueType: parts[1].trim() });
+      }
+      continue;
     }
-  }
+    if (LUA_BUILTIN_TYPES.includes(parent)) continue;
 
-  // Generate interfaces
-  for (const [className, cls] of filteredClasses) {
-    if (!enumClasses.has(className)) {
-      lines.push(...generateInterface(className, cls, enumClasses));
-      lines.push(``);
+    // Generic parents: Base<T> is looked up as Base
+    const parentName = parent.replace(/<.*$/, '').trim();
+    const parentCls = lookup(parentName);
+    if (!parentCls) {
+      warnings.push(`class ${cls.name}: parent "${parentName}" is not defined in any API file`);
+      continue;
     }
-  }
-
-  // Determine main export: config > detected > first interface with methods
-  let mainExport = config.mainExport;
-  if (!mainExport && detectedMainExport && filteredClasses.has(detectedMainExport)) {
-    mainExport = detectedMainExport;
-  }
-
-  // Global variable declaration (for core, menu, etc.)
-  if (config.declareGlobalVar && mainExport) {
-    lines.push(`// Global variable declaration`);
-    lines.push(`declare const ${mainExport}: ${mainExport};`);
-    lines.push(``);
-  }
 
-  // Module declaration (only if mainExport is specified)
-  if (mainExport) {
-    lines.push(`// Module declaration for imports`);
-    lines.push(`declare module "${modulePath}" {`);
-    lines.push(`  const _default: ${mainExport};`);
-    lines.push(`  export = _default;`);
-    lines.push(`}`);
-    lines.push(``);
+    const parentType = convertLuaTypeToTS(parent);
+    const overridden = [...collectMemberNames(parentCls, lookup)].filter(name => ownMembers.has(name));
+    heritage.push(overridden.length > 0
+      ? `Omit<${parentType}, ${overridden.map(name => `"${name}"`).join(' | ')}>`
+      : parentType);
   }
 
-  return lines.join('\n');
+  return { heritage, indexSignatures };
 }
 
 // ============================================================================
-// Post-processing
+// Type Patches
 // ============================================================================
 
-function postProcessOwMenuApi(content) {
-  content = content.replace(/opts\?: \{\):/g, 'opts?: object):');
-  content = content.replace(/opts\?: \{, /g, 'opts?: object, ');
-  return content;
-}
-
-function postProcessKickExternalFiltersHelper(content) {
-  content = content.replace(/, string\|nil: any,/g, ',');
-  return content;
-}
-
-function postProcessSpellSequenceHelper(content) {
-  content = content.replace(/game_object \| \(this: void\) => game_object/g,
-    'game_object | ((this: void) => game_object)');
-  content = content.replace(/: string "([^"]+)";/g, ': "$1";');
-  return content;
-}
-
-function postProcessIziSdk(content, outputDir) {
-  // Fix adv_condition alias
-  content = content.replace(
-    /type adv_condition = boolean \| \(this: void, u: game_object\) => boolean;/,
-    'type adv_condition = boolean | ((this: void, u: game_object) => boolean);'
-  );
-
-  // Fix cast_opts
-  content = content.replace(
-    /skip_back\?: boolean validated in is_castable_to_unit;/,
-    'skip_back?: boolean;'
-  );
-
-  // Fix is_spell_in_range
-  content = content.replace(
-    /is_spell_in_range\(this: game_object, spell: number \| izi_spell \| \{id:fun\(self\):integer\}\): boolean;/,
-    'is_spell_in_range(this: game_object, spell: number | izi_spell | { id: (this: any) => number }): boolean;'
-  );
-
-  // Fix constructor/factory fields - function in union needs parentheses
-  content = content.replace(
-    /vec2: vec2 \| \(this: void, x: number, y: number\) => vec2;/,
-    'vec2: vec2 | ((this: void, x: number, y: number) => vec2);'
-  );
-  content = content.replace(
-    /vec3: vec3 \| \(this: void, x: number, y: number, z: number\) => vec3;/,
-    'vec3: vec3 | ((this: void, x: number, y: number, z: number) => vec3);'
-  );
-  content = content.replace(
-    /circle: circle \| \(this: void, center: vec3, radius: number\) => circle;/,
-    'circle: circle | ((this: void, center: vec3, radius: number) => circle);'
-  );
-  content = content.replace(
-    /rectangle: rectangle \| \(this: void, min: vec3, max: vec3\) => rectangle;/,
-    'rectangle: rectangle | ((this: void, min: vec3, max: vec3) => rectangle);'
-  );
-  content = content.replace(
-    /cone: cone \| \(this: void, origin: vec3, direction: vec3, angle: number, range: number\) => cone;/,
-    'cone: cone | ((this: void, origin: vec3, direction: number, range: number) => cone);'
-  );
-
-  // Fix event handler double-arrow syntax
-  const eventHandlers = [
-    'on_buff_gain', 'on_buff_lose', 'on_debuff_gain', 'on_debuff_lose',
-    'on_combat_start', 'on_combat_finish', 'on_spell_begin', 'on_spell_success', 'on_spell_cancel'
-  ];
-  for (const handler of eventHandlers) {
-    const pattern = new RegExp(`${handler}\\(this: void, cb: .*?\\) => \\(this: void\\): void;`, 'g');
-    content = content.replace(pattern, `${handler}(this: void, cb: (this: void, ev: any) => void): () => void;`);
-  }
-
-  content = content.replace(
-    /on_key_release\(this: void, key: .*?\) => \(this: void\): void;/,
-    'on_key_release(this: void, key: number | string, cb: (this: void, key: number | string) => void): () => void;'
-  );
-
-  content = content.replace(
-    /after\(this: void, seconds: number, fn: \(this: void\) => void\) => \(this: void\): void;/,
-    'after(this: void, seconds: number, fn: (this: void) => void): () => void;'
-  );
-
-  // =========================================================================
-  // Fix truncated tuple return types - use flexible patterns
-  // These match any parameters since type aliases vary (Milliseconds, CCFlagMask, etc.)
-  // =========================================================================
-
-  // Pattern: methodName(this: game_object, ...anything...): (type, type,;
-  // The truncation happens when description stripping cuts off the tuple
-
-  // CC methods returning 5-element tuples: [boolean, CCFlagMask, Milliseconds, boolean, boolean]
-  const cc5Methods = [
-    'is_cc', 'isCC', 'crowd_controlled', 'isCrowdControlled',
-    'is_cc_weak', 'isWeakCC', 'weak_cc',
-    'is_rooted', 'rooted', 'isRooted',
-    'is_stunned', 'stunned', 'isStunned',
-    'is_feared', 'feared', 'isFeared',
-    'is_sapped', 'sapped', 'isSapped',
-    'is_silenced', 'silenced', 'isSilenced',
-    'is_cycloned', 'cycloned', 'isCycloned',
-    'is_disarmed', 'disarmed', 'isDisarmed',
-    'is_disoriented', 'isDisorient', 'isDisoriented',
-    'is_incap', 'is_incapacitated', 'isIncapacitated',
-    'immune_cc', 'isCCImmune'
-  ];
-  for (const method of cc5Methods) {
-    // Match the truncated return type pattern
-    const pattern = new RegExp(`(${method}\\([^)]*\\)):\\s*\\([^;]*,;`, 'g');
-    content = content.replace(pattern, '$1: LuaMultiReturn<[boolean, number, number, boolean, boolean]>;');
-  }
-
-  // CC reduction methods returning 3-element tuples: [number, CCFlagMask, Milliseconds]
-  const ccReductionMethods = ['get_cc_reduction', 'cc_reduction', 'getCCReduce', 'getCCReduction'];
-  for (const method of ccReductionMethods) {
-    const pattern = new RegExp(`(${method}\\([^)]*\\)):\\s*\\([^;]*,;`, 'g');
-    content = content.replace(pattern, '$1: LuaMultiReturn<[number, number, number]>;');
-  }
-
-  // Slow methods returning 3-element tuples: [boolean, number, Milliseconds]
-  const slowBoolMethods = ['is_slowed', 'isSlowed', 'slowed'];
-  for (const method of slowBoolMethods) {
-    const pattern = new RegExp(`(${method}\\([^)]*\\)):\\s*\\([^;]*,;`, 'g');
-    content = content.replace(pattern, '$1: LuaMultiReturn<[boolean, number, number]>;');
-  }
-
-  // Slow mult methods returning 2-element tuples: [number, Milliseconds]
-  const slowNumMethods = ['get_slow', 'slow_mult', 'getSlow'];
-  for (const method of slowNumMethods) {
-    const pattern = new RegExp(`(${method}\\([^)]*\\)):\\s*\\([^;]*,;`, 'g');
-    content = content.replace(pattern, '$1: LuaMultiReturn<[number, number]>;');
-  }
-
-  // Slow immune methods returning 2-element tuples: [boolean, Milliseconds]
-  const slowImmuneMethods = ['is_slow_immune', 'slow_immune', 'isSlowImmune'];
-  for (const method of slowImmuneMethods) {
-    const pattern = new RegExp(`(${method}\\([^)]*\\)):\\s*\\([^;]*,;`, 'g');
-    content = content.replace(pattern, '$1: LuaMultiReturn<[boolean, number]>;');
-  }
+/**
+ * Patches for one module: class name (or '*' / '@alias') -> member name -> replacement
+ * @typedef {Record<string, Record<string, string|string[]>>} ModulePatches
+ */
 
-  // Damage reduction methods returning 3-element tuples: [number, DMGTypeMask, Milliseconds]
-  const dmgReductionMethods = ['get_damage_reduction', 'getDRPct', 'dmg_reduction', 'dmgRed', 'getDamageReduction'];
-  for (const method of dmgReductionMethods) {
-    const pattern = new RegExp(`(${method}\\([^)]*\\)):\\s*\\([^;]*,;`, 'g');
-    content = content.replace(pattern, '$1: LuaMultiReturn<[number, number, number]>;');
-  }
+/**
+ * Load type patches from scripts/api-patches.js (optional)
+ * @returns {Record<string, ModulePatches>}
+ */
+function loadTypePatches() {
+  return fs.existsSync(TYPE_PATCHES_PATH) ? require(TYPE_PATCHES_PATH) : {};
+}
 
-  // Damage immune methods returning 3-element tuples: [boolean, DMGTypeMask, Milliseconds]
-  const dmgImmuneMethods = ['isImmune', 'isDamageImmune', 'immune_dmg'];
-  for (const method of dmgImmuneMethods) {
-    const pattern = new RegExp(`(${method}\\([^)]*\\)):\\s*\\([^;]*,;`, 'g');
-    content = content.replace(pattern, '$1: LuaMultiReturn<[boolean, number, number]>;');
+/**
+ * Find the patch for a member, preferring an exact class match over '*'.
+ * Every patch found is recorded in `used` as `class.member`.
+ * @param {ModulePatches} patches
+ * @param {string} className
+ * @param {string} memberName
+ * @param {Set<string>} used
+ * @returns {string|string[]|undefined}
+ */
+function findPatch(patches, className, memberName, used) {
+  for (const key of [className, '*']) {
+    const classPatches = patches[key];
+    if (classPatches && Object.prototype.hasOwnProperty.call(classPatches, memberName)) {
+      used.add(`${key}.${memberName}`);
+      return classPatches[memberName];
+    }
   }
-
-  return content;
+  return undefined;
 }
 
 /**
- * Apply module-specific post-processing
- * @param {string} modulePath
- * @param {string} content
- * @returns {string}
+ * List the patches of a module that were never applied
+ * @param {ModulePatches} patches
+ * @param {Set<string>} used
+ * @returns {string[]} - `class.member` keys
  */
-function applyPostProcessing(modulePath, content) {
-  switch (modulePath) {
-    case 'common/izi_sdk':
-      return postProcessIziSdk(content, OUTPUT_DIR);
-    case 'common/ow_menu_api':
-      return postProcessOwMenuApi(content);
-    case 'common/utility/kick_external_filters_helper':
-      return postProcessKickExternalFiltersHelper(content);
-    case 'common/utility/spell_sequence_helper':
-      return postProcessSpellSequenceHelper(content);
-    default:
-      return content;
+function findUnusedPatches(patches, used) {
+  const unused = [];
+  for (const [className, members] of Object.entries(patches)) {
+    for (const memberName of Object.keys(members)) {
+      if (!used.has(`${className}.${memberName}`)) {
+        unused.push(`${className}.${memberName}`);
+      }
+    }
   }
+  return unused;
 }
 
 // ============================================================================
-// Main
+// Event Registrations
 // ============================================================================
 
-function main() {
-  const args = process.argv.slice(2);
-  const targetModule = args[0];
+// `on_<event>(..., cb)`: registers `cb`, which receives the event payload
+const EVENT_REGISTRATION_PATTERN = /^on_(\w+)$/;
 
-  console.log('Generating TypeScript declarations from Sylvanas API...\n');
+// Callback argument types that say nothing about the payload
+const UNTYPED_PAYLOAD_TYPES = new Set(['table', 'any', 'unknown']);
 
-  const modulesToProcess = targetModule
+/**
+ * Event overrides for one module: registration name -> payload and return type,
+ * in LuaCATS syntax. An object payload lists the fields of the payload interface.
+ * @typedef {Record<string, {payload?: string|Record<string, string>, returns?: string}>} ModuleEvents
+ */
+
+/**
+ * @typedef {Object} EventRegistration
+ * @property {string} method - Registration function, e.g. `on_buff_gain`
+ * @property {string} event - Event name, e.g. `buff_gain`
+ * @property {string} typeName - Payload type, e.g. `izi_api_buff_gain_event`
+ * @property {'api'|'override'|'unknown'} source - Where the payload type comes from
+ * @property {string|null} type - Payload as a TypeScript type, null when it is an interface
+ * @property {Array<{name: string, optional: boolean, type: string}>} fields - Payload interface fields
+ * @property {string} signature - Registration signature whose callback receives `typeName`
+ */
+
+/**
+ * Load event overrides from scripts/api-events.js (optional)
+ * @returns {Record<string, ModuleEvents>}
+ */
+function loadEventOverrides() {
+  return fs.existsSync(EVENT_OVERRIDES_PATH) ? require(EVENT_OVERRIDES_PATH) : {};
+}
+
+/**
+ * Find the event registrations of a class: its `on_*` functions taking a callback.
+ * The payload is the callback's first argument, typed from the API when it has a
+ * real type, else from api-events.js, else as an open interface.
+ * @param {string} className
+ * @param {ParsedClass} cls
+ * @param {ModuleEvents} events
+ * @param {boolean} noSelf - See useNoSelf
+ * @param {Set<string>} used - Receives the names of the overrides applied
+ * @param {string[]} warnings
+ * @returns {EventRegistration[]}
+ */
+function collectEventRegistrations(className, cls, events, noSelf, used, warnings) {
+  const registrations = [];
+  const unwrap = type => (type && type.kind === 'optional' ? type.type : type);
+
+  for (const field of cls.fields || []) {
+    const match = EVENT_REGISTRATION_PATTERN.exec(field.name);
+    const node = match ? parseLuaType(field.type) : null;
+    if (!node || node.kind !== 'fun') continue;
+    const callbackIndex = node.params.findIndex(p => unwrap(p.type) && unwrap(p.type).kind === 'fun');
+    if (callbackIndex === -1) continue;
+
+    const callbackParam = node.params[callbackIndex];
+    const callback = unwrap(callbackParam.type);
+    const [arg, ...otherArgs] = callback.params;
+    const override = Object.prototype.hasOwnProperty.call(events, field.name) ? events[field.name] : null;
+    if (override) used.add(field.name);
+
+    const registration = {
+      method: field.name,
+      event: match[1],
+      typeName: `${className}_${match[1]}_event`,
+      source: 'unknown',
+      type: null,
+      fields: [],
+    };
+    const argType = arg && unwrap(arg.type);
+    if (override && override.payload !== undefined) {
+      registration.source = 'override';
+      if (typeof override.payload === 'string') {
+        registration.type = convertLuaTypeToTS(override.payload);
+      } else {
+        registration.fields = Object.entries(override.payload).map(([name, type]) => ({
+          name: name.replace(/\?$/, ''),
+          optional: name.endsWith('?'),
+          type: convertLuaTypeToTS(type),
+        }));
+      }
+    } else if (argType && !(argType.kind === 'name' && !argType.args && UNTYPED_PAYLOAD_TYPES.has(argType.name))) {
+      registration.source = 'api';
+      registration.type = emitType(arg.type).text;
+    } else {
+      warnings.push(`event ${className}.${field.name} has an untyped payload, describe it in scripts/api-events.js`);
+    }
+
+    // Same registration, with the callback receiving the payload type
+    const typedCallback = {
+      ...callback,
+      params: [{ name: arg ? arg.name : 'ev', type: { kind: 'name', name: registration.typeName } }, ...otherArgs],
+    };
+    const params = node.params.map((p, i) => (i !== callbackIndex ? p : {
+      ...p,
+      type: p.type.kind === 'optional' ? { kind: 'optional', type: typedCallback } : typedCallback,
+    }));
+    const returns = override && override.returns !== undefined
+      ? [{ type: parseLuaType(override.returns) || { kind: 'name', name: 'any' } }]
+      : node.returns;
+    const parts = emitFunParts({ ...node, params, returns }, noSelf);
+    registration.signature = `${parts.typeParams}(${parts.params}): ${parts.returnType}`;
+    registrations.push(registration);
+  }
+
+  return registrations;
+}
+
+/**
+ * List the event overrides of a module that match no registration
+ * @param {ModuleEvents} events
+ * @param {Set<string>} used
+ * @returns {string[]}
+ */
+function findUnusedEventOverrides(events, used) {
+  return Object.keys(events).filter(name => !used.has(name));
+}
+
+/**
+ * Generate the payload types of a class's event registrations, and the
+ * `<class>_event_map` interface listing them by event name
+ * @param {string} className
+ * @param {EventRegistration[]} registrations
+ * @returns {string[]}
+ */
+function generateEventTypes(className, registrations) {
+  const lines = [];
+
+  for (const registration of registrations) {
+    const { typeName, method } = registration;
+    if (registration.type !== null) {
+      lines.push(`/** Payload of ${className}.${method} */`);
+      lines.push(`type ${typeName} = ${registration.type};`);
+    } else if (registration.source === 'unknown') {
+      // Open, so rotations can declare the fields they rely on by interface merging
+      lines.push(`/** Payload of ${className}.${method}, untyped in the API */`);
+      lines.push(`interface ${typeName} {`, `  [key: string]: any;`, `}`);
+    } else {
+      lines.push(`/** Payload of ${className}.${method} */`);
+      lines.push(`interface ${typeName} {`);
+      for (const field of registration.fields) {
+        lines.push(`  ${field.name}${field.optional ? '?' : ''}: ${field.type};`);
+      }
+      lines.push(`}`);
+    }
+    lines.push(``);
+  }
+
+  lines.push(`/** Event payloads of ${className}, by event name */`);
+  lines.push(`interface ${className}_event_map {`);
+  for (const registration of registrations) {
+    lines.push(`  ${registration.event}: ${registration.typeName};`);
+  }
+  lines.push(`}`);
+  lines.push(``);
+  return lines;
+}
+
+/**
+ * Names of the event types a module's classes add: payloads and event maps
+ * @param {Map<string, ParsedClass>} classes
+ * @param {ModuleEvents} events
+ * @returns {string[]}
+ */
+function listEventTypeNames(classes, events) {
+  const names = [];
+  for (const [className, cls] of classes) {
+    const registrations = collectEventRegistrations(className, cls, events, false, new Set(), []);
+    if (registrations.length > 0) {
+      names.push(...registrations.map(r => r.typeName), `${className}_event_map`);
+    }
+  }
+  return names;
+}
+
+// ============================================================================
+// Declaration Generation
+// ============================================================================
+
+const RESERVED_METHOD_NAMES = ['new', 'delete', 'default', 'class', 'function', 'return', 'typeof', 'import', 'export'];
+
+/**
+ * Format the documentation of a declaration as JSDoc: `@param`/`@returns` for the
+ * described parameters and return values, then `@deprecated` and `@see`. A lone
+ * one-line description stays a single-line comment.
+ * @param {{description?: string, params?: Array<{name: string, description: string}>, returns?: ReturnInfo[], noSelf?: boolean} & DocTags} doc
+ * @param {string} [indent]
+ * @returns {string[]} - Empty when there is nothing to document
+ */
+function formatDocComment(doc, indent = '') {
+  const body = doc.description ? doc.description.split('\n') : [];
+
+  for (const param of doc.params || []) {
+    body.push(`@param ${sanitizeParamName(param.name)} ${param.description}`);
+  }
+
+  // Several return values are listed by name, or by position when unnamed
+  const returns = doc.returns || [];
+  if (returns.length === 1 && returns[0].description) {
+    body.push(`@returns ${returns[0].description}`);
+  } else if (returns.some(r => r.description)) {
+    body.push('@returns');
+    returns.forEach((r, i) => {
+      if (!r.description) return;
+      const label = r.name ? `\`${r.name}\`` : r.variadic ? '`...`' : `#${i + 1}`;
+      body.push(`- ${label}: ${r.description}`);
+    });
+  }
+
+  if (doc.deprecated) {
+    body.push(doc.deprecated === true ? '@deprecated' : `@deprecated ${doc.deprecated}`);
+  }
+  for (const see of doc.see || []) {
+    body.push(`@see ${see}`);
+  }
+  if (doc.noSelf) {
+    body.push('@noSelf');
+  }
+
+  const text = body.map(line => line.replace(/\*\//g, '*\\/'));
+  if (text.length === 0) return [];
+  if (text.length === 1) return [`${indent}/** ${text[0]} */`];
+  return [`${indent}/**`, ...text.map(line => `${indent} * ${line}`), `${indent} */`];
+}
+
+/**
+ * Convert a Lua `fun(...)` type to a TypeScript call signature, e.g. `(this: void, x: number): string`
+ * @param {string} funType
+ * @param {boolean} [noSelf] - Member of a `@noSelf` interface: static functions need no `this: void`
+ * @returns {string}
+ */
+function toSignature(funType, noSelf = false) {
+  const node = parseLuaType(funType);
+  if (!node || node.kind !== 'fun') return `(${noSelf ? '' : 'this: void, '}...args: any[]): any`;
+  const { typeParams, params, returnType } = emitFunParts(node, noSelf);
+  return `${typeParams}(${params}): ${returnType}`;
+}
+
+/**
+ * Tell how a class's functions are called: `static` when none takes `self`
+ * (dot notation), `method` when all do (colon notation), `mixed` otherwise
+ * @param {ParsedClass} cls
+ * @returns {'static'|'method'|'mixed'|'none'}
+ */
+function getCallingConvention(cls) {
+  let hasStatic = false;
+  let hasMethod = false;
+  for (const field of cls.fields || []) {
+    for (const funType of [...(field.overloads || []), field.type]) {
+      const node = parseLuaType(funType);
+      if (!node || node.kind !== 'fun') continue;
+      if (node.params.length > 0 && node.params[0].name === 'self') hasMethod = true;
+      else hasStatic = true;
+    }
+  }
+  if (hasStatic && hasMethod) return 'mixed';
+  return hasStatic ? 'static' : hasMethod ? 'method' : 'none';
+}
+
+/**
+ * Decide whether a class is emitted as a `@noSelf` interface. Colon methods keep
+ * their explicit `this`, since rotations compile with `noImplicitSelf`.
+ * @param {ParsedClass} cls
+ * @param {'auto'|boolean} [setting] - ModuleConfig.noSelf
+ * @returns {boolean}
+ */
+function useNoSelf(cls, setting = 'auto') {
+  const convention = getCallingConvention(cls);
+  if (setting === true) return convention === 'static' || convention === 'mixed';
+  if (setting === 'auto') return convention === 'static';
+  return false;
+}
+
+/**
+ * Generate an alias listed as `---| value # description` lines, as a union
+ * with one documented member per line
+ * @param {string} aliasName
+ * @param {AliasInfo} alias
+ * @returns {string[]}
+ */
+function generateAliasMembers(aliasName, alias) {
+  const lines = [`type ${aliasName} =`];
+  const seen = new Set();
+
+  for (const member of alias.members) {
+    const node = parseLuaType(member.type);
+    // A member that is itself a union ("tank"|"healer") is listed value by value
+    const values = !node ? [null] : node.kind === 'union' ? node.types : [node];
+    values.forEach((value, i) => {
+      const tsType = value ? wrapType(emitType(value, true), PRECEDENCE.postfix) : 'any';
+      if (seen.has(tsType)) return;
+      seen.add(tsType);
+      if (member.description && i === 0) {
+        lines.push(`  /** ${member.description} */`);
+      }
+      lines.push(`  | ${tsType}`);
+    });
+  }
+  lines[lines.length - 1] += ';';
+  return lines;
+}
+
+/**
+ * Generate a TypeScript interface from a parsed class
+ * @param {string} className
+ * @param {ParsedClass} cls
+ * @param {Set<string>} enumClasses - Set of class names that are enums
+ * @param {{heritage: string[], indexSignatures: Array<{keyType: string, valueType: string}>}} [parents] - From resolveParents
+ * @param {(memberName: string) => string|string[]|undefined} [getPatch] - Replacement type/signatures from api-patches.js
+ * @param {boolean} [noSelf] - Emit a `@noSelf` interface, see useNoSelf
+ * @returns {string[]}
+ */
+function generateInterface(className, cls, enumClasses, parents = { heritage: [], indexSignatures: [] }, getPatch = () => undefined, noSelf = false) {
+  const lines = [];
+  currentClassName = className;
+
+  // Class type parameters default to any so bare references to the class stay valid
+  const classUsage = [...cls.dataFields, ...cls.fields].map(f => f.type).join(' ');
+  const typeParams = cls.generics ? `<${convertGenericParams(cls.generics, 'any', classUsage)}>` : '';
+  const extendsClause = parents.heritage.length > 0 ? ` extends ${parents.heritage.join(', ')}` : '';
+  lines.push(...formatDocComment({ ...cls, noSelf }));
+  lines.push(`interface ${className}${typeParams}${extendsClause} {`);
+
+  // Index signatures
+  for (const sig of [...parents.indexSignatures, ...(cls.indexSignatures || [])]) {
+    lines.push(`  [key: ${convertLuaTypeToTS(sig.keyType)}]: ${convertLuaTypeToTS(sig.valueType)};`);
+  }
+
+  // Data fields
+  for (const field of cls.dataFields || []) {
+    lines.push(...formatDocComment(field, '  '));
+    let tsType = convertLuaTypeToTS(field.type);
+    if (enumClasses.has(tsType)) {
+      tsType = `typeof ${tsType}`;
+    }
+    const patch = getPatch(field.name);
+    if (patch !== undefined) {
+      tsType = [].concat(patch).join(' | ');
+    }
+    const optMark = field.optional ? '?' : '';
+    lines.push(`  ${field.name}${optMark}: ${tsType};`);
+  }
+
+  // Call signatures (class-level @overload)
+  for (const callType of cls.callSignatures || []) {
+    lines.push(`  ${toSignature(callType)};`);
+  }
+
+  // Methods, one signature per @overload followed by the declared one
+  for (const field of cls.fields || []) {
+    lines.push(...formatDocComment(field, '  '));
+
+    const methodName = RESERVED_METHOD_NAMES.includes(field.name) ? `"${field.name}"` : field.name;
+    const patch = getPatch(field.name);
+    const signatures = patch !== undefined
+      ? [].concat(patch)
+      : [...(field.overloads || []), field.type].map(funType => toSignature(funType, noSelf));
+    for (const signature of new Set(signatures)) {
+      lines.push(`  ${methodName}${signature};`);
+    }
+  }
+
+  lines.push(`}`);
+  return lines;
+}
+
+/**
+ * Generate complete TypeScript declaration file
+ *
+ * @param {string} modulePath - Import path like 'common/modules/buff_manager'
+ * @param {ModuleConfig} config
+ * @param {ParseResult} parseResult
+ * @param {Map<string, IndexedClass>} [classIndex] - Classes from all modules, for cross-file parents
+ * @param {ModulePatches} [patches] - Type patches for this module
+ * @param {ModuleEvents} [events] - Event overrides for this module
+ * @returns {string}
+ */
+function generateDeclaration(modulePath, config, parseResult, classIndex = new Map(), patches = {}, events = {}) {
+  const { classes, aliases } = parseResult;
+  const lines = [];
+
+  // Header
+  lines.push(`// Auto-generated from Sylvanas API`);
+  lines.push(`// Source: ${config.file}`);
+  lines.push(`// Do not edit manually`);
+  lines.push(``);
+
+  // Filter classes if specified, then keep those this module owns
+  const filteredClasses = getOwnedClasses(modulePath, filterClasses(classes, config.filterClasses), classIndex);
+
+  const usedPatches = new Set();
+  const usedEvents = new Set();
+
+  // Generate type aliases (global scope)
+  if (aliases.size > 0) {
+    for (const [aliasName, alias] of aliases) {
+      const patch = findPatch(patches, '@alias', aliasName, usedPatches);
+      lines.push(...formatDocComment(alias));
+      if (patch === undefined && alias.members && alias.members.length > 0) {
+        lines.push(...generateAliasMembers(aliasName, alias));
+      } else {
+        const tsType = patch !== undefined ? [].concat(patch).join(' | ') : convertLuaTypeToTS(alias.type);
+        lines.push(`type ${aliasName} = ${tsType};`);
+      }
+    }
+    lines.push(``);
+  }
+
+  // First pass: identify enums
+  const extendedClasses = collectExtendedClasses(classIndex, classes);
+  const enumClasses = new Set();
+  for (const [className, cls] of filteredClasses) {
+    // A catalog module's table is data; its IDs are typed by the catalog
+    if (!config.catalog && isEnumLikeClass(cls, extendedClasses)) {
+      enumClasses.add(className);
+    }
+  }
+
+  // Generate enums
+  for (const [className, cls] of filteredClasses) {
+    if (enumClasses.has(className)) {
+      lines.push(...generateEnum(className, cls, parseResult.warnings));
+      lines.push(``);
+    }
+  }
+
+  // Generate interfaces
+  for (const [className, cls] of filteredClasses) {
+    if (!enumClasses.has(className)) {
+      const parents = resolveParents(cls, filteredClasses, classIndex, parseResult.warnings);
+      const noSelf = useNoSelf(cls, config.noSelf);
+      const registrations = collectEventRegistrations(className, cls, events, noSelf, usedEvents, parseResult.warnings);
+      if (registrations.length > 0) {
+        lines.push(...generateEventTypes(className, registrations));
+      }
+      const eventSignatures = new Map(registrations.map(r => [r.method, r.signature]));
+      const getPatch = memberName => findPatch(patches, className, memberName, usedPatches) ?? eventSignatures.get(memberName);
+      lines.push(...generateInterface(className, cls, enumClasses, parents, getPatch, noSelf));
+      lines.push(``);
+    }
+  }
+
+  for (const key of findUnusedPatches(patches, usedPatches)) {
+    parseResult.warnings.push(`type patch ${key} no longer matches anything (scripts/api-patches.js)`);
+  }
+  for (const name of findUnusedEventOverrides(events, usedEvents)) {
+    parseResult.warnings.push(`event override ${name} no longer matches a registration (scripts/api-events.js)`);
+  }
+
+  // Determine main export: config > @type > `return X` (null in config means none)
+  let mainExport = config.mainExport;
+  if (mainExport === undefined) {
+    mainExport = inferMainExport(parseResult, config);
+  }
+
+  // Global variable declaration (for core, menu, etc.)
+  if (config.declareGlobalVar && mainExport) {
+    lines.push(`// Global variable declaration`);
+    lines.push(`declare const ${mainExport}: ${mainExport};`);
+    lines.push(``);
+  }
+
+  // Module declaration (only if mainExport is specified)
+  if (mainExport) {
+    lines.push(`// Module declaration for imports`);
+    lines.push(...generateModuleDeclaration(modulePath, mainExport, enumClasses.has(mainExport)));
+    lines.push(``);
+  }
+
+  return lines.join('\n');
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Tell whether a method is a function of the table itself: none of its
+ * signatures takes `self`, so it's called with a dot
+ * @param {ParsedClass['fields'][number]} field
+ * @returns {boolean}
+ */
+function isStaticFunction(field) {
+  return [...(field.overloads || []), field.type].every(funType => {
+    const node = parseLuaType(funType);
+    return !node || node.kind !== 'fun' || node.params.length === 0 || node.params[0].name !== 'self';
+  });
+}
+
+/**
+ * Names that can be imported from a module, inherited members included: the main
+ * export's static functions, and the data fields that live on the module table.
+ * Those are all data fields of a table of dot-called functions, otherwise only
+ * the ones assigned in the Lua source; `@field`s of instance types live on each object.
+ * @param {string} mainExport
+ * @param {Map<string, ParsedClass>} localClasses
+ * @param {Map<string, IndexedClass>} classIndex
+ * @returns {string[]}
+ */
+function collectExportNames(mainExport, localClasses, classIndex) {
+  const lookup = name => localClasses.get(name) || (classIndex.has(name) ? classIndex.get(name).cls : null);
+  const mainCls = lookup(mainExport);
+  const isModuleTable = mainCls !== null && getCallingConvention(mainCls) === 'static';
+  const names = new Set();
+  const seen = new Set();
+
+  const visit = cls => {
+    if (!cls || seen.has(cls.name)) return;
+    seen.add(cls.name);
+    for (const field of cls.dataFields) {
+      if (isModuleTable || cls.values.has(field.name) || cls.dataEntries.has(field.name)) names.add(field.name);
+    }
+    for (const field of cls.fields) {
+      if (isStaticFunction(field)) names.add(field.name);
+    }
+    for (const parent of cls.parents) visit(lookup(parent.replace(/<.*$/, '').trim()));
+  };
+  visit(mainCls);
+  return [...names];
+}
+
+/**
+ * Generate the `declare module` block of a module. The main export is the
+ * module's `export =`; TypeScript resolves named imports against its members,
+ * so both `import * as m from "x"` and `import { member } from "x"` work and
+ * TSTL compiles either to a `require`. Named exports can't be declared next
+ * to `export =`.
+ * @param {string} modulePath
+ * @param {string} mainExport
+ * @param {boolean} isEnum - The main export is emitted as an enum (or enum-like const)
+ * @returns {string[]}
+ */
+function generateModuleDeclaration(modulePath, mainExport, isEnum) {
+  return [
+    `declare module "${modulePath}" {`,
+    `  const _default: ${isEnum ? `typeof ${mainExport}` : mainExport};`,
+    `  export = _default;`,
+    `}`,
+  ];
+}
+
+/**
+ * Write `index.d.ts`, referencing the declaration file of every module in the
+ * manifest, so a tsconfig can include the generated types with a single entry.
+ * Other .d.ts files in the output directory (hand-written, or left behind by
+ * removed modules) are not referenced, since a reference ignores tsconfig excludes.
+ * @param {string} outputDir
+ * @param {Record<string, ManifestEntry>} manifestModules - From mergeManifestEntries
+ * @returns {string} - Path of the written file
+ */
+function writeTypesIndex(outputDir, manifestModules) {
+  const files = Object.values(manifestModules).map(entry => entry.declaration).sort();
+  const lines = [
+    `// Auto-generated from Sylvanas API`,
+    `// Do not edit manually`,
+    ``,
+    ...files.map(file => `/// <reference path="./${file}" />`),
+    ``,
+  ];
+  const indexPath = path.join(outputDir, TYPES_INDEX_FILE);
+  writeFileIfChanged(indexPath, lines.join('\n'));
+  return indexPath;
+}
+
+/**
+ * @typedef {Object} ManifestEntry
+ * @property {string} declaration - Declaration file relative to TYPES_OUTPUT_DIR
+ * @property {string} source - API file relative to API_DIR
+ * @property {string|null} mainExport
+ * @property {string[]} exports - Names to import from the module: static functions and module-table values
+ * @property {string[]} globals - Global variables the declaration file adds
+ * @property {string[]} types - Global types (interfaces, enums, aliases) the declaration file adds
+ */
+
+/**
+ * Describe the declarations generated for a module
+ * @param {string} modulePath
+ * @param {ModuleConfig} config
+ * @param {ParseResult} parseResult
+ * @param {Map<string, IndexedClass>} classIndex
+ * @param {ModuleEvents} [events]
+ * @returns {ManifestEntry}
+ */
+function createManifestEntry(modulePath, config, parseResult, classIndex, events = {}) {
+  const classes = getOwnedClasses(modulePath, filterClasses(parseResult.classes, config.filterClasses), classIndex);
+  const mainExport = config.mainExport === undefined ? inferMainExport(parseResult, config) : config.mainExport;
+  return {
+    declaration: `${modulePath}.d.ts`,
+    source: config.file,
+    mainExport: mainExport || null,
+    exports: mainExport ? collectExportNames(mainExport, classes, classIndex) : [],
+    globals: config.declareGlobalVar && mainExport ? [mainExport] : [],
+    types: [...parseResult.aliases.keys(), ...classes.keys(), ...listEventTypeNames(classes, events)],
+  };
+}
+
+/**
+ * Merge freshly generated manifest entries with those of the previous run.
+ * Entries of modules not regenerated this run are kept as long as the module is
+ * still discovered and its declaration file exists.
+ * @param {string} outputDir
+ * @param {Record<string, ManifestEntry>} entries
+ * @param {Record<string, ModuleConfig>} modules - Every discovered module
+ * @returns {Record<string, ManifestEntry>} - Sorted by module path
+ */
+function mergeManifestEntries(outputDir, entries, modules) {
+  const manifestPath = path.join(outputDir, TYPES_MANIFEST_FILE);
+  let previous = {};
+  if (fs.existsSync(manifestPath)) {
+    try {
+      previous = JSON.parse(fs.readFileSync(manifestPath, 'utf-8')).modules || {};
+    } catch {
+      // Rebuilt from this run's entries only
+    }
+  }
+
+  const merged = { ...previous, ...entries };
+  const sorted = {};
+  for (const modulePath of Object.keys(merged).sort()) {
+    if (modules[modulePath] && fs.existsSync(path.join(outputDir, merged[modulePath].declaration))) {
+      sorted[modulePath] = merged[modulePath];
+    }
+  }
+  return sorted;
+}
+
+/**
+ * Write the types manifest
+ * @param {string} outputDir
+ * @param {Record<string, ManifestEntry>} manifestModules - From mergeManifestEntries
+ * @returns {string} - Path of the written file
+ */
+function writeTypesManifest(outputDir, manifestModules) {
+  const manifestPath = path.join(outputDir, TYPES_MANIFEST_FILE);
+  writeFileIfChanged(manifestPath, JSON.stringify({ modules: manifestModules }, null, 2) + '\n');
+  return manifestPath;
+}
+
+// ============================================================================
+// Module Registry
+// ============================================================================
+
+// Project modules that rotations require at runtime instead of transpiling them
+// in; bb_core is built and deployed on its own by build-bb-core.js
+const PROJECT_RUNTIME_PATHS = ['ext_plugin_bb_core/*', 'ext_plugin_bb_core/**/*'];
+
+/**
+ * List the modules Sylvanas provides at runtime: every discovered module plus
+ * the `runtimeOnly` entries of scripts/api-modules.js
+ * @param {Record<string, ModuleConfig>} modules
+ * @param {Record<string, Partial<ModuleConfig>|false>} overrides
+ * @returns {string[]}
+ */
+function listRuntimeModules(modules, overrides) {
+  const runtimeOnly = Object.keys(overrides).filter(modulePath => overrides[modulePath] && overrides[modulePath].runtimeOnly);
+  return [...new Set([...Object.keys(modules), ...runtimeOnly])].sort();
+}
+
+/**
+ * Compare the runtime module registry with the modules found in API_DIR
+ * @param {string[]} runtimeModules - From listRuntimeModules
+ * @returns {{ added: string[], removed: string[] }} - Modules missing from the registry, and registry
+ *   modules API_DIR doesn't have
+ */
+function diffModuleRegistry(runtimeModules) {
+  let registered = [];
+  if (fs.existsSync(MODULE_REGISTRY_PATH)) {
+    try {
+      registered = JSON.parse(fs.readFileSync(MODULE_REGISTRY_PATH, 'utf-8')).modules || [];
+    } catch {
+      // Treated as empty, so every module shows up as added
+    }
+  }
+  return {
+    added: runtimeModules.filter(modulePath => !registered.includes(modulePath)),
+    removed: registered.filter(modulePath => !runtimeModules.includes(modulePath)),
+  };
+}
+
+/**
+ * Write the runtime module registry (--update-registry). build-rotation.js leaves
+ * requires of these modules to Sylvanas and rejects other `common/*` requires,
+ * and tsconfig.json extends the file, so tstl doesn't try to resolve them either.
+ * @param {string[]} runtimeModules
+ */
+function writeModuleRegistry(runtimeModules) {
+  const registry = {
+    $comment: 'Modules Sylvanas provides at runtime. Checked against API_DIR by scripts/generate-api-types.js, which rewrites it with --update-registry.',
+    modules: runtimeModules,
+    tstl: {
+      noResolvePaths: [...runtimeModules, ...PROJECT_RUNTIME_PATHS],
+    },
+  };
+  writeFileIfChanged(MODULE_REGISTRY_PATH, JSON.stringify(registry, null, 2) + '\n');
+}
+
+// ============================================================================
+// ID Catalogs
+// ============================================================================
+
+/**
+ * Merge the table constructors and assignments of an API file's returned
+ * table (`return X`) into one tree
+ * @param {ParseResult} parseResult
+ * @returns {Map<string, TableValue>|null} - null when the file returns no table with data
+ */
+function collectDataTable(parseResult) {
+  const root = new Map();
+
+  for (const { target, entries } of parseResult.tables) {
+    const [name, ...keys] = target.split('.');
+    if (name !== parseResult.returnedName) continue;
+    let table = root;
+    for (const key of keys) {
+      if (!(table.get(key) instanceof Map)) table.set(key, new Map());
+      table = table.get(key);
+    }
+    for (const [key, value] of entries) {
+      table.set(key, value);
+    }
+  }
+
+  return root.size > 0 ? root : null;
+}
+
+/**
+ * Convert a Lua key to a catalog member name: `killer_instinct`, `KILLER_INSTINCT`
+ * and `"Killer Instinct"` all become `KillerInstinct`
+ * @param {string} key
+ * @returns {string}
+ */
+function toCatalogName(key) {
+  const words = String(key).replace(/'/g, '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+  const name = words.map(word => (word === word.toUpperCase() || word === word.toLowerCase()
+    ? word[0].toUpperCase() + word.slice(1).toLowerCase()
+    : word[0].toUpperCase() + word.slice(1))).join('');
+  return /^\d/.test(name) ? `_${name}` : name || '_';
+}
+
+/**
+ * A catalog group: member name -> ID, list of IDs, or nested group
+ * @typedef {{[name: string]: number|number[]|CatalogGroup}} CatalogGroup
+ */
+
+/**
+ * Build a catalog group from a data table. Named entries map to an ID (`x = 1`),
+ * a list of IDs (`x = { 1, 2 }`) or a nested group (a class or spec); entries
+ * keyed by ID (`[1] = "Name"`) are turned around.
+ * @param {Map<string, TableValue>} table
+ * @param {string} location - Path of the table, for warnings
+ * @param {string[]} warnings
+ * @returns {CatalogGroup}
+ */
+function buildCatalogGroup(table, location, warnings) {
+  const group = {};
+  let skipped = 0;
+  const isId = value => Number.isInteger(value) && value >= 0;
+  const isIndex = key => /^-?\d+$/.test(key);
+
+  for (const [key, value] of table) {
+    let name = key;
+    let member;
+    if (isIndex(key)) {
+      if (typeof value === 'string') {
+        name = value;
+        member = Number(key);
+      }
+    } else if (typeof value === 'number') {
+      member = value;
+    } else if (value instanceof Map && value.size > 0) {
+      const values = [...value.values()];
+      const isList = [...value.keys()].every((k, i) => k === String(i + 1)) && values.every(v => typeof v === 'number');
+      member = isList ? values : buildCatalogGroup(value, `${location}.${key}`, warnings);
+    }
+
+    if ((typeof member === 'number' && isId(member))
+      || (Array.isArray(member) && member.every(isId))
+      || (member && typeof member === 'object' && !Array.isArray(member) && Object.keys(member).length > 0)) {
+      const memberName = toCatalogName(name);
+      if (Object.prototype.hasOwnProperty.call(group, memberName)) {
+        warnings.push(`catalog ${location}: "${name}" clashes with another entry named ${memberName}, left out`);
+      } else {
+        group[memberName] = member;
+      }
+    } else {
+      skipped++;
+    }
+  }
+
+  if (skipped > 0) {
+    warnings.push(`catalog ${location}: ${skipped} entr${skipped === 1 ? 'y is' : 'ies are'} not IDs and left out`);
+  }
+  return group;
+}
+
+/**
+ * Generate the TypeScript source of a catalog: a const object with literal IDs
+ * @param {string} catalogName
+ * @param {string} sourceFile
+ * @param {CatalogGroup} group
+ * @returns {string}
+ */
+function generateCatalogSource(catalogName, sourceFile, group) {
+  const lines = [
+    `// Auto-generated from Sylvanas API`,
+    `// Source: ${sourceFile}`,
+    `// Do not edit manually`,
+    ``,
+    `/** IDs from ${sourceFile} */`,
+    `export const ${catalogName} = {`,
+  ];
+
+  const emitGroup = (members, indent) => {
+    for (const [name, member] of Object.entries(members)) {
+      if (typeof member === 'number') {
+        lines.push(`${indent}${name}: ${member},`);
+      } else if (Array.isArray(member)) {
+        lines.push(`${indent}${name}: [${member.join(', ')}],`);
+      } else {
+        lines.push(`${indent}${name}: {`);
+        emitGroup(member, indent + '  ');
+        lines.push(`${indent}},`);
+      }
+    }
+  };
+  emitGroup(group, '  ');
+
+  lines.push(`} as const;`);
+  lines.push(``);
+  return lines.join('\n');
+}
+
+/**
+ * List every ID of a catalog group, with its path
+ * @param {CatalogGroup} group
+ * @param {string} prefix
+ * @returns {Array<{path: string, ids: number[]}>}
+ */
+function flattenCatalog(group, prefix) {
+  const entries = [];
+  for (const [name, member] of Object.entries(group)) {
+    const memberPath = `${prefix}.${name}`;
+    if (typeof member === 'number' || Array.isArray(member)) {
+      entries.push({ path: memberPath, ids: [].concat(member) });
+    } else {
+      entries.push(...flattenCatalog(member, memberPath));
+    }
+  }
+  return entries;
+}
+
+/**
+ * @typedef {Object} CatalogEntry
+ * @property {string} source - API file relative to API_DIR
+ * @property {string} file - Catalog source relative to TYPES_OUTPUT_DIR
+ * @property {Array<{path: string, ids: number[]}>} ids
+ */
+
+/**
+ * Write the catalog of a module to `catalogs/<file name>.ts`
+ * @param {string} outputDir
+ * @param {ModuleConfig} config
+ * @param {ParseResult} parseResult
+ * @param {string[]} warnings
+ * @returns {CatalogEntry|null} - null when the file has no data table
+ */
+function writeCatalog(outputDir, config, parseResult, warnings) {
+  const table = collectDataTable(parseResult);
+  if (!table) {
+    warnings.push(`catalog ${config.catalog}: no data table found in ${config.file}`);
+    return null;
+  }
+
+  const group = buildCatalogGroup(table, config.catalog, warnings);
+  const file = `${CATALOGS_DIR}/${path.basename(config.file, '.lua')}.ts`;
+  writeFileIfChanged(path.join(outputDir, file), generateCatalogSource(config.catalog, config.file, group));
+  return { source: config.file, file, ids: flattenCatalog(group, config.catalog) };
+}
+
+/**
+ * Write `catalogs/catalog.json` with every ID of the catalogs, merged with the
+ * catalogs of modules not generated this run
+ * @param {string} outputDir
+ * @param {Record<string, CatalogEntry>} entries - Catalog name -> entry
+ * @returns {string} - Path of the written file
+ */
+function writeCatalogJson(outputDir, entries) {
+  const jsonPath = path.join(outputDir, CATALOGS_DIR, CATALOG_JSON_FILE);
+  let catalogs = {};
+  if (fs.existsSync(jsonPath)) {
+    try {
+      catalogs = JSON.parse(fs.readFileSync(jsonPath, 'utf-8')).catalogs || {};
+    } catch {
+      // Rewritten from scratch below
+    }
+  }
+
+  Object.assign(catalogs, entries);
+  const sorted = {};
+  for (const name of Object.keys(catalogs).sort()) {
+    if (fs.existsSync(path.join(outputDir, catalogs[name].file))) {
+      sorted[name] = catalogs[name];
+    }
+  }
+
+  writeFileIfChanged(jsonPath, JSON.stringify({ catalogs: sorted }, null, 2) + '\n');
+  return jsonPath;
+}
+
+// ============================================================================
+// Generation Cache
+// ============================================================================
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} hash - From hashModuleInputs
+ * @property {string[]} outputs - Files written for the module, relative to TYPES_OUTPUT_DIR
+ * @property {string[]} warnings - Printed again when the module is skipped
+ */
+
+let generatorVersion = null;
+
+/**
+ * Hash of this script, so any change to the generator invalidates the cache
+ * @returns {string}
+ */
+function getGeneratorVersion() {
+  if (generatorVersion === null) {
+    generatorVersion = crypto.createHash('sha256').update(fs.readFileSync(__filename)).digest('hex');
+  }
+  return generatorVersion;
+}
+
+/**
+ * Write a file unless it already has this content, so unchanged outputs keep
+ * their timestamps and editors don't recheck the project
+ * @param {string} filePath
+ * @param {string} content
+ * @returns {boolean} - Whether the file was written
+ */
+function writeFileIfChanged(filePath, content) {
+  if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf-8') === content) {
+    return false;
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return true;
+}
+
+/**
+ * List the modules whose API files a module's output depends on: its own, the
+ * other files declaring its classes and their parents, and the files of classes
+ * extending them (which keeps them from being emitted as enums)
+ * @param {string} modulePath
+ * @param {ParseResult} parseResult
+ * @param {Map<string, IndexedClass>} classIndex
+ * @returns {string[]} - Sorted module paths
+ */
+function collectModuleSources(modulePath, parseResult, classIndex) {
+  const sources = new Set([modulePath]);
+  const baseName = type => type.match(/^[\w.]*/)[0];
+  const visited = new Set();
+
+  const visit = className => {
+    if (visited.has(className) || !classIndex.has(className)) return;
+    visited.add(className);
+    const indexed = classIndex.get(className);
+    indexed.definitions.forEach(definition => sources.add(definition.modulePath));
+    indexed.cls.parents.forEach(parent => visit(baseName(parent)));
+  };
+  const ownClasses = [...parseResult.classes.keys()];
+  ownClasses.forEach(visit);
+
+  for (const indexed of classIndex.values()) {
+    if (indexed.cls.parents.some(parent => ownClasses.includes(baseName(parent)))) {
+      indexed.definitions.forEach(definition => sources.add(definition.modulePath));
+    }
+  }
+
+  return [...sources].sort();
+}
+
+/**
+ * Hash everything a module's output is generated from: the generator, the
+ * config and API file of every source module, and the module's patches
+ * @param {string[]} sources - From collectModuleSources
+ * @param {Record<string, ModuleConfig>} modules
+ * @param {ModulePatches} patches
+ * @param {ModuleEvents} events
+ * @returns {string}
+ */
+function hashModuleInputs(sources, modules, patches, events) {
+  const hash = crypto.createHash('sha256');
+  hash.update(getGeneratorVersion());
+  hash.update(JSON.stringify({ patches, events }));
+  for (const source of sources) {
+    const config = modules[source];
+    if (!config) continue;
+    const apiPath = path.join(API_DIR, config.file);
+    hash.update(JSON.stringify({ source, config }));
+    hash.update(fs.existsSync(apiPath) ? fs.readFileSync(apiPath) : '');
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Load the generation cache from the output directory
+ * @param {string} outputDir
+ * @returns {Record<string, CacheEntry>} - Module path -> entry
+ */
+function loadGenerationCache(outputDir) {
+  const cachePath = path.join(outputDir, GENERATION_CACHE_FILE);
+  try {
+    return JSON.parse(fs.readFileSync(cachePath, 'utf-8')).modules || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save the generation cache, dropping modules that no longer exist
+ * @param {string} outputDir
+ * @param {Record<string, CacheEntry>} entries
+ * @param {Record<string, ModuleConfig>} modules
+ */
+function saveGenerationCache(outputDir, entries, modules) {
+  const sorted = {};
+  for (const modulePath of Object.keys(entries).sort()) {
+    if (modules[modulePath]) sorted[modulePath] = entries[modulePath];
+  }
+  writeFileIfChanged(path.join(outputDir, GENERATION_CACHE_FILE), JSON.stringify({ modules: sorted }, null, 2) + '\n');
+}
+
+// ============================================================================
+// API Loading
+// ============================================================================
+
+/**
+ * @typedef {Object} LoadedApi
+ * @property {Record<string, ModuleConfig>} modules - Discovered modules with main exports filled in
+ * @property {(file: string) => ParseResult|null} loadParseResult - Cached parse of an API file
+ * @property {Map<string, IndexedClass>} classIndex
+ * @property {ClassConflict[]} conflicts - Classes declared differently by several API files
+ */
+
+/**
+ * Discover and index the API in a directory
+ * @param {string} apiDir
+ * @returns {LoadedApi}
+ */
+function loadApi(apiDir) {
+  const modules = discoverModules(apiDir, loadModuleOverrides());
+
+  // Parse each API file once; several modules can share a file (geometry.lua)
+  const parseCache = new Map();
+  const loadParseResult = (file) => {
+    if (!parseCache.has(file)) {
+      const inputPath = path.join(apiDir, file);
+      let parseResult = null;
+      if (fs.existsSync(inputPath)) {
+        try {
+          parseResult = parseApiFile(fs.readFileSync(inputPath, 'utf-8'));
+        } catch {
+          // Reported when the module itself is processed
+        }
+      }
+      parseCache.set(file, parseResult);
+    }
+    return parseCache.get(file);
+  };
+
+  // Fill in main exports the overrides don't pin down
+  for (const config of Object.values(modules)) {
+    const parseResult = config.mainExport === undefined ? loadParseResult(config.file) : null;
+    if (parseResult) {
+      config.mainExport = inferMainExport(parseResult, config);
+    }
+  }
+
+  // Index classes across all modules so each is emitted once and parents from other API files resolve
+  const conflicts = [];
+  const classIndex = buildClassIndex(modules, loadParseResult, conflicts);
+
+  return { modules, loadParseResult, classIndex, conflicts };
+}
+
+/**
+ * Generate declarations in memory, without writing or logging
+ * @param {LoadedApi} api
+ * @param {Record<string, ModulePatches>} typePatches
+ * @param {Record<string, ModuleEvents>} eventOverrides
+ * @param {string[]} modulePaths
+ * @returns {Map<string, string>} - Module path -> declaration text
+ */
+function renderDeclarations(api, typePatches, eventOverrides, modulePaths) {
+  const declarations = new Map();
+  for (const modulePath of modulePaths) {
+    const config = api.modules[modulePath];
+    const parsed = config ? api.loadParseResult(config.file) : null;
+    if (!parsed || parsed.classes.size === 0) continue;
+
+    const parseResult = { ...parsed, warnings: [] };
+    declarations.set(modulePath,
+      generateDeclaration(modulePath, config, parseResult, api.classIndex,
+        typePatches[modulePath] || {}, eventOverrides[modulePath] || {}));
+  }
+  return declarations;
+}
+
+// ============================================================================
+// API Diff
+// ============================================================================
+
+/**
+ * Read the surfaces of all declaration files below a directory
+ * @param {string} dir
+ * @returns {Map<string, Map<string, SymbolInfo>>} - Module path -> surface
+ */
+function readDeclarationSurfaces(dir) {
+  const surfaces = new Map();
+  for (const file of listDeclarationFiles(dir)) {
+    if (file === TYPES_INDEX_FILE) continue;
+    const text = fs.readFileSync(path.join(dir, file), 'utf-8');
+    surfaces.set(file.slice(0, -'.d.ts'.length), extractApiSurface(text, file));
+  }
+  return surfaces;
+}
+
+/**
+ * Run `--diff`: compare the API in API_DIR against a baseline and print the changes.
+ * The baseline is TYPES_OUTPUT_DIR by default; `--diff=<dir>` takes another directory
+ * of generated declarations, or an earlier copy of the .api folder.
+ * @param {LoadedApi} api
+ * @param {Record<string, ModulePatches>} typePatches
+ * @param {Record<string, ModuleEvents>} eventOverrides
+ * @param {{baseline?: string, format: 'text'|'markdown', output?: string, targetModule?: string}} options
+ */
+function runApiDiff(api, typePatches, eventOverrides, options) {
+  const baselineDir = options.baseline ? path.resolve(options.baseline) : OUTPUT_DIR;
+  if (!fs.existsSync(baselineDir)) {
+    console.error(`ERROR: Diff baseline not found: ${baselineDir}`);
+    process.exit(1);
+  }
+
+  const modulePaths = options.targetModule ? [options.targetModule] : Object.keys(api.modules);
+  const toSurfaces = declarations => new Map(
+    [...declarations].map(([modulePath, text]) => [modulePath, extractApiSurface(text, `${modulePath}.d.ts`)]));
+
+  // A baseline with .lua files is an earlier API snapshot, otherwise generated declarations
+  let oldSurfaces;
+  if (listLuaFiles(baselineDir).length > 0) {
+    const baselineApi = loadApi(baselineDir);
+    const baselineModules = options.targetModule ? [options.targetModule] : Object.keys(baselineApi.modules);
+    oldSurfaces = toSurfaces(renderDeclarations(baselineApi, typePatches, eventOverrides, baselineModules));
+  } else {
+    oldSurfaces = readDeclarationSurfaces(baselineDir);
+    if (options.targetModule) {
+      oldSurfaces = new Map([...oldSurfaces].filter(([modulePath]) => modulePath === options.targetModule));
+    }
+  }
+  const newSurfaces = toSurfaces(renderDeclarations(api, typePatches, eventOverrides, modulePaths));
+
+  const entries = diffApiSurfaces(oldSurfaces, newSurfaces);
+  const report = formatApiDiff(entries, options.format, baselineDir);
+
+  if (options.output) {
+    fs.writeFileSync(options.output, report + '\n');
+    console.log(`Diff written to ${options.output}`);
+  } else {
+    console.log(report);
+  }
+}
+
+// ============================================================================
+// API Reference
+// ============================================================================
+
+const DEFAULT_DOCS_DIR = path.join(__dirname, '..', 'dist', 'api-docs');
+
+/**
+ * Collect the documented surface of every module, as the declarations present it
+ * @param {LoadedApi} api
+ * @param {Record<string, ModulePatches>} typePatches
+ * @param {Record<string, ModuleEvents>} eventOverrides
+ * @returns {DocModule[]} - See scripts/api-docs.js
+ */
+function collectDocModules(api, typePatches, eventOverrides) {
+  const docModules = [];
+
+  for (const [modulePath, config] of Object.entries(api.modules)) {
+    const parseResult = api.loadParseResult(config.file);
+    if (!parseResult || parseResult.classes.size === 0) continue;
+
+    const patches = typePatches[modulePath] || {};
+    const events = eventOverrides[modulePath] || {};
+    const unused = new Set();
+    const classes = getOwnedClasses(modulePath, filterClasses(parseResult.classes, config.filterClasses), api.classIndex);
+    const extendedClasses = collectExtendedClasses(api.classIndex, classes);
+    const types = [];
+
+    for (const [name, alias] of parseResult.aliases) {
+      const patch = findPatch(patches, '@alias', name, unused);
+      const values = patch === undefined && alias.members.length > 0
+        ? alias.members.map(m => ({ name: convertLuaTypeToTS(m.type), kind: 'value', signatures: [], description: m.description }))
+        : [];
+      types.push({
+        name,
+        kind: 'alias',
+        description: alias.description,
+        parents: [patch !== undefined ? [].concat(patch).join(' | ') : convertLuaTypeToTS(alias.type)],
+        members: values,
+      });
+    }
+
+    for (const [name, cls] of classes) {
+      if (!config.catalog && isEnumLikeClass(cls, extendedClasses)) {
+        types.push({
+          name,
+          kind: 'enum',
+          description: cls.description,
+          parents: [],
+          members: cls.dataFields.map(field => ({
+            name: field.name,
+            kind: 'value',
+            signatures: [cls.values.has(field.name) ? String(cls.values.get(field.name)) : 'number'],
+            description: field.description,
+          })),
+        });
+        continue;
+      }
+
+      const noSelf = useNoSelf(cls, config.noSelf);
+      const registrations = collectEventRegistrations(name, cls, events, noSelf, new Set(), []);
+      for (const registration of registrations) {
+        types.push({
+          name: registration.typeName,
+          kind: registration.type !== null ? 'alias' : 'interface',
+          description: `Payload of ${name}.${registration.method}`,
+          parents: registration.type !== null ? [registration.type] : [],
+          members: registration.fields.map(field => ({
+            name: field.optional ? `${field.name}?` : field.name,
+            kind: 'field',
+            signatures: [field.type],
+          })),
+        });
+      }
+      const eventSignatures = new Map(registrations.map(r => [r.method, r.signature]));
+      const getPatch = memberName => findPatch(patches, name, memberName, unused) ?? eventSignatures.get(memberName);
+
+      const members = [];
+      for (const field of cls.dataFields) {
+        const patch = getPatch(field.name);
+        const type = patch !== undefined ? [].concat(patch).join(' | ') : convertLuaTypeToTS(field.type);
+        members.push({ name: field.optional ? `${field.name}?` : field.name, kind: 'field', signatures: [type], description: field.description });
+      }
+      for (const field of cls.fields) {
+        const patch = getPatch(field.name);
+        const signatures = patch !== undefined
+          ? [].concat(patch)
+          : [...(field.overloads || []), field.type].map(funType => toSignature(funType, noSelf));
+        members.push({ name: field.name, kind: 'method', signatures: [...new Set(signatures)], description: field.description });
+      }
+      types.push({ name, kind: 'interface', description: cls.description, parents: cls.parents.map(convertLuaTypeToTS), members });
+    }
+
+    const mainExport = config.mainExport === undefined ? inferMainExport(parseResult, config) : config.mainExport;
+    docModules.push({ modulePath, file: config.file, mainExport: mainExport || null, types });
+  }
+
+  return docModules;
+}
+
+/**
+ * Run `--docs`: write the API reference for the modules in API_DIR
+ * @param {LoadedApi} api
+ * @param {Record<string, ModulePatches>} typePatches
+ * @param {Record<string, ModuleEvents>} eventOverrides
+ * @param {string} outputDir
+ */
+function runApiDocs(api, typePatches, eventOverrides, outputDir) {
+  const docModules = collectDocModules(api, typePatches, eventOverrides);
+  fs.mkdirSync(outputDir, { recursive: true });
+  const outputPath = path.join(outputDir, 'index.html');
+  fs.writeFileSync(outputPath, renderDocsHtml(docModules));
+
+  const typeCount = docModules.reduce((sum, m) => sum + m.types.length, 0);
+  console.log(`API reference for ${docModules.length} modules and ${typeCount} types written to ${outputPath}`);
+}
+
+// ============================================================================
+// Declaration Check
+// ============================================================================
+
+// "Cannot find name", "Cannot find name ... Did you mean", "Cannot find namespace"
+const UNRESOLVED_NAME_CODES = new Set([2304, 2552, 2503]);
+
+/**
+ * Ambient declarations the generated files rely on (LuaMultiReturn, LuaTable, Lua globals)
+ * @returns {string[]}
+ */
+function getAmbientTypeFiles() {
+  const files = [];
+  for (const request of ['@typescript-to-lua/language-extensions/index.d.ts', 'lua-types/5.1.d.ts']) {
+    try {
+      files.push(require.resolve(request));
+    } catch {
+      console.log(`WARNING: ${request} not installed, references to it will show as unresolved`);
+    }
+  }
+  return files;
+}
+
+/**
+ * Find the annotation lines of an API file that mention a type name
+ * @param {string} filePath
+ * @param {string} typeName
+ * @returns {number[]} - 1-based line numbers
+ */
+function findAnnotationLines(filePath, typeName) {
+  if (!fs.existsSync(filePath)) return [];
+  const escaped = typeName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^\\s*---@\\w+.*(?<![\\w.])${escaped}(?![\\w])`);
+  const lines = [];
+  fs.readFileSync(filePath, 'utf-8').split('\n').forEach((line, i) => {
+    if (pattern.test(line)) lines.push(i + 1);
+  });
+  return lines;
+}
+
+/**
+ * Run the TypeScript compiler over every declaration in the output directory and
+ * report syntax errors, type names that no module declares and every other error
+ * in the declarations (duplicate members, invalid overrides, ...). Unresolved
+ * names are traced back to the annotations of the API file that generated them.
+ * @param {string} outputDir
+ * @param {string} apiDir
+ * @param {Record<string, ModuleConfig>} modules
+ * @param {Map<string, IndexedClass>} [classIndex] - To also search files whose members were merged into a module
+ * @returns {number} - Number of problems found
+ */
+function checkDeclarations(outputDir, apiDir, modules, classIndex = new Map()) {
+  const ts = require('typescript');
+  const files = listDeclarationFiles(outputDir).map(file => path.join(outputDir, file));
+
+  const program = ts.createProgram([...files, ...getAmbientTypeFiles()], {
+    noEmit: true,
+    target: ts.ScriptTarget.ESNext,
+    lib: ['lib.esnext.d.ts'],
+    types: [],
+    strict: true,
+  });
+
+  const toModulePath = fileName => path.relative(outputDir, fileName).replace(/\\/g, '/').replace(/\.d\.ts$/, '');
+  const location = diagnostic => {
+    const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+    return `${path.relative(outputDir, diagnostic.file.fileName).replace(/\\/g, '/')}:${line + 1}:${character + 1}`;
+  };
+
+  const syntaxErrors = [];
+  const declarationErrors = [];
+  /** @type {Map<string, {generated: Set<string>, sources: Set<string>}>} */
+  const unresolved = new Map();
+
+  for (const file of files) {
+    const sourceFile = program.getSourceFile(file);
+    if (!sourceFile) continue;
+
+    for (const diagnostic of program.getSyntacticDiagnostics(sourceFile)) {
+      syntaxErrors.push(`${location(diagnostic)} ${ts.flattenDiagnosticMessageText(diagnostic.messageText, ' ')}`);
+    }
+
+    for (const diagnostic of program.getSemanticDiagnostics(sourceFile)) {
+      if (diagnostic.category !== ts.DiagnosticCategory.Error) continue;
+      if (!UNRESOLVED_NAME_CODES.has(diagnostic.code) || diagnostic.start === undefined) {
+        const where = diagnostic.start === undefined ? path.relative(outputDir, file).replace(/\\/g, '/') : location(diagnostic);
+        declarationErrors.push(`${where} TS${diagnostic.code}: ${ts.flattenDiagnosticMessageText(diagnostic.messageText, ' ')}`);
+        continue;
+      }
+
+      const name = sourceFile.text.slice(diagnostic.start, diagnostic.start + diagnostic.length);
+      if (!unresolved.has(name)) unresolved.set(name, { generated: new Set(), sources: new Set() });
+      const entry = unresolved.get(name);
+      entry.generated.add(location(diagnostic));
+
+      const modulePath = toModulePath(file);
+      const apiFiles = new Set(modules[modulePath] ? [modules[modulePath].file] : []);
+      for (const indexed of classIndex.values()) {
+        if (indexed.modulePath === modulePath) indexed.definitions.forEach(def => apiFiles.add(def.file));
+      }
+      for (const apiFile of apiFiles) {
+        for (const line of findAnnotationLines(path.join(apiDir, apiFile), name)) {
+          entry.sources.add(`${apiFile}:${line}`);
+        }
+      }
+    }
+  }
+
+  console.log(`\nChecked ${files.length} declaration file(s)`);
+
+  if (syntaxErrors.length > 0) {
+    console.log(`\nSyntax errors (${syntaxErrors.length}):`);
+    for (const error of syntaxErrors) console.log(`  ${error}`);
+  }
+
+  if (declarationErrors.length > 0) {
+    console.log(`\nDeclaration errors (${declarationErrors.length}):`);
+    for (const error of declarationErrors) console.log(`  ${error}`);
+  }
+
+  if (unresolved.size > 0) {
+    console.log(`\nUnresolved types (${unresolved.size}):`);
+    for (const [name, entry] of [...unresolved].sort(([a], [b]) => a.localeCompare(b))) {
+      const sources = entry.sources.size > 0 ? [...entry.sources].join(', ') : 'no matching annotation';
+      console.log(`  ${name}`);
+      console.log(`    from: ${sources}`);
+      console.log(`    in:   ${[...entry.generated].join(', ')}`);
+    }
+  }
+
+  const problemCount = syntaxErrors.length + declarationErrors.length + unresolved.size;
+  if (problemCount === 0) console.log('No syntax errors, declaration errors or unresolved types.');
+  return problemCount;
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+function main() {
+  const args = listScriptArgs();
+  const diffArg = args.find(arg => arg === '--diff' || arg.startsWith('--diff='));
+  const outputArg = args.find(arg => arg.startsWith('--out='));
+  const runCheck = args.includes('--check');
+  const force = args.includes('--force');
+  const updateRegistry = args.includes('--update-registry');
+  const docsArg = args.find(arg => arg === '--docs' || arg.startsWith('--docs='));
+  const targetModule = args.find(arg => !arg.startsWith('--'));
+
+  if (docsArg) {
+    if (!fs.existsSync(API_DIR)) {
+      console.error(`ERROR: API_DIR not found: ${API_DIR}`);
+      process.exit(1);
+    }
+    const docsDir = docsArg.includes('=') ? path.resolve(docsArg.slice('--docs='.length)) : DEFAULT_DOCS_DIR;
+    runApiDocs(loadApi(API_DIR), loadTypePatches(), loadEventOverrides(), docsDir);
+    return;
+  }
+
+  if (diffArg) {
+    if (!fs.existsSync(API_DIR)) {
+      console.error(`ERROR: API_DIR not found: ${API_DIR}`);
+      process.exit(1);
+    }
+    const api = loadApi(API_DIR);
+    if (targetModule && !api.modules[targetModule]) {
+      console.error(`Unknown module: ${targetModule}`);
+      process.exit(1);
+    }
+    runApiDiff(api, loadTypePatches(), loadEventOverrides(), {
+      baseline: diffArg.includes('=') ? diffArg.slice('--diff='.length) : undefined,
+      format: args.includes('--markdown') ? 'markdown' : 'text',
+      output: outputArg ? outputArg.slice('--out='.length) : undefined,
+      targetModule,
+    });
+    return;
+  }
+
+  console.log('Generating TypeScript declarations from Sylvanas API...\n');
+  printConfig(config);
+  console.log('');
+
+  if (!fs.existsSync(API_DIR)) {
+    console.error(`ERROR: API_DIR not found: ${API_DIR}`);
+    process.exit(1);
+  }
+
+  const { modules: MODULES, loadParseResult, classIndex, conflicts } = loadApi(API_DIR);
+
+  const modulesToProcess = targetModule
     ? { [targetModule]: MODULES[targetModule] }
     : MODULES;
 
@@ -1236,9 +3399,37 @@ function main() {
     process.exit(1);
   }
 
+  const reportedConflicts = conflicts.filter(c => !targetModule || classIndex.get(c.className).modulePath === targetModule);
+  if (reportedConflicts.length > 0) {
+    console.log(`WARNING: ${reportedConflicts.length} class member(s) declared differently in several API files:`);
+    formatClassConflicts(reportedConflicts).forEach(line => console.log(line));
+    console.log('');
+  }
+
+  const typePatches = loadTypePatches();
+  const eventOverrides = loadEventOverrides();
+  let stalePatchCount = 0;
+  for (const patchedModule of Object.keys(typePatches)) {
+    if (!MODULES[patchedModule] && (!targetModule || targetModule === patchedModule)) {
+      console.log(`WARNING: type patches for unknown module "${patchedModule}" (scripts/api-patches.js)`);
+      stalePatchCount += findUnusedPatches(typePatches[patchedModule], new Set()).length;
+    }
+  }
+  for (const eventModule of Object.keys(eventOverrides)) {
+    if (!MODULES[eventModule] && (!targetModule || targetModule === eventModule)) {
+      console.log(`WARNING: event overrides for unknown module "${eventModule}" (scripts/api-events.js)`);
+      stalePatchCount += findUnusedEventOverrides(eventOverrides[eventModule], new Set()).length;
+    }
+  }
+
   let successCount = 0;
+  let unchangedCount = 0;
   let skipCount = 0;
   let errorCount = 0;
+  const manifestEntries = {};
+  const catalogEntries = {};
+  const cache = force ? {} : loadGenerationCache(OUTPUT_DIR);
+  const isStale = warning => warning.startsWith('type patch ') || warning.startsWith('event override ');
 
   for (const [modulePath, config] of Object.entries(modulesToProcess)) {
     if (!config) continue;
@@ -1262,25 +3453,58 @@ function main() {
 
     try {
       const content = fs.readFileSync(inputPath, 'utf-8');
-      const parseResult = parseApiFile(content);
+      const parseResult = { ...(loadParseResult(config.file) || parseApiFile(content)) };
+      parseResult.warnings = [...parseResult.warnings];
+
+      const modulePatches = typePatches[modulePath] || {};
+      const moduleEvents = eventOverrides[modulePath] || {};
+      const hash = hashModuleInputs(collectModuleSources(modulePath, parseResult, classIndex), MODULES, modulePatches, moduleEvents);
+
+      // Same inputs as last run and nothing deleted since: keep the outputs as they are
+      const cached = cache[modulePath];
+      if (cached && cached.hash === hash && cached.outputs.every(file => fs.existsSync(path.join(OUTPUT_DIR, file)))) {
+        cached.warnings.forEach(warning => console.log(`  WARNING: ${warning}`));
+        stalePatchCount += cached.warnings.filter(isStale).length;
+        if (parseResult.classes.size > 0) {
+          manifestEntries[modulePath] = createManifestEntry(modulePath, config, parseResult, classIndex, moduleEvents);
+        }
+        console.log('  Unchanged');
+        unchangedCount++;
+        continue;
+      }
+
+      const outputs = [];
+      const warnings = [];
+      if (config.catalog) {
+        const catalog = writeCatalog(OUTPUT_DIR, config, parseResult, warnings);
+        if (catalog) {
+          catalogEntries[config.catalog] = catalog;
+          outputs.push(catalog.file);
+          console.log(`  Catalog: ${config.catalog} (${catalog.ids.length} IDs) -> ${catalog.file}`);
+        }
+      }
 
       if (parseResult.classes.size === 0) {
-        console.log(`  WARNING: No classes found in ${config.file}`);
+        warnings.push(`No classes found in ${config.file}`);
+        warnings.forEach(warning => console.log(`  WARNING: ${warning}`));
+        cache[modulePath] = { hash, outputs, warnings };
         skipCount++;
         continue;
       }
 
-      let declaration = generateDeclaration(modulePath, config, parseResult);
-      declaration = applyPostProcessing(modulePath, declaration);
+      const declaration = generateDeclaration(modulePath, config, parseResult, classIndex, modulePatches, moduleEvents);
+      warnings.push(...parseResult.warnings);
 
-      // Ensure output directory exists
-      const outputDir = path.dirname(outputPath);
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
+      for (const warning of warnings) {
+        console.log(`  WARNING: ${warning}`);
       }
+      stalePatchCount += warnings.filter(isStale).length;
 
-      fs.writeFileSync(outputPath, declaration);
-      console.log(`  Generated: ${outputPath}`);
+      const written = writeFileIfChanged(outputPath, declaration);
+      console.log(`  ${written ? 'Generated' : 'Up to date'}: ${outputPath}`);
+      outputs.push(`${modulePath}.d.ts`);
+      cache[modulePath] = { hash, outputs, warnings };
+      manifestEntries[modulePath] = createManifestEntry(modulePath, config, parseResult, classIndex, moduleEvents);
       successCount++;
     } catch (err) {
       console.log(`  ERROR: ${err.message}`);
@@ -1288,7 +3512,43 @@ function main() {
     }
   }
 
-  console.log(`\nDone! ${successCount} generated, ${skipCount} skipped, ${errorCount} errors`);
+  if (successCount + unchangedCount > 0) {
+    const manifestModules = mergeManifestEntries(OUTPUT_DIR, manifestEntries, MODULES);
+    console.log(`\nIndex: ${writeTypesIndex(OUTPUT_DIR, manifestModules)}`);
+    console.log(`Manifest: ${writeTypesManifest(OUTPUT_DIR, manifestModules)}`);
+  }
+  if (Object.keys(catalogEntries).length > 0) {
+    console.log(`Catalogs: ${writeCatalogJson(OUTPUT_DIR, catalogEntries)}`);
+  }
+  saveGenerationCache(OUTPUT_DIR, cache, MODULES);
+
+  const runtimeModules = listRuntimeModules(MODULES, loadModuleOverrides());
+  const registryDiff = diffModuleRegistry(runtimeModules);
+  if (registryDiff.added.length + registryDiff.removed.length > 0) {
+    const counts = `+${registryDiff.added.length} -${registryDiff.removed.length}`;
+    if (updateRegistry) {
+      writeModuleRegistry(runtimeModules);
+      console.log(`Module registry: updated ${MODULE_REGISTRY_PATH} (${counts})`);
+    } else {
+      console.log(`\nWARNING: the module registry differs from API_DIR (${counts}):`);
+      registryDiff.added.forEach(modulePath => console.log(`  + ${modulePath}`));
+      registryDiff.removed.forEach(modulePath => console.log(`  - ${modulePath}`));
+      console.log(`Rerun with --update-registry to apply this to ${path.relative(path.dirname(__dirname), MODULE_REGISTRY_PATH)}, then review and commit it.`);
+    }
+  }
+
+  console.log(`\nDone! ${successCount} generated, ${unchangedCount} unchanged, ${skipCount} skipped, ${errorCount} errors`);
+
+  if (stalePatchCount > 0) {
+    console.log(`\n${'!'.repeat(60)}`);
+    console.log(`WARNING: ${stalePatchCount} type patch(es) or event override(s) no longer match the API.`);
+    console.log('Update or remove them in scripts/api-patches.js / scripts/api-events.js (see warnings above).');
+    console.log('!'.repeat(60));
+  }
+
+  if (runCheck && checkDeclarations(OUTPUT_DIR, API_DIR, MODULES, classIndex) > 0) {
+    process.exitCode = 1;
+  }
 }
 
 main();
\ No newline at end of file
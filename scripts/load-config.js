@@ -0,0 +1,312 @@
+/**
+ * Shared configuration loader for the build scripts
+ *
+ * Settings come from scripts/config.local.js (gitignored), or scripts/config.js
+ * if there is none. Each layer below overrides the one before:
+ *
+ *   1. The config file
+ *   2. A profile from the file's `profiles` object, selected with --profile <name>
+ *      or TSTL_PROFILE:
+ *        profiles: { live: { SYLVANAS_SCRIPTS_DIR: 'C:/Sylvanas/live/scripts' } }
+ *   3. Environment variables named TSTL_<KEY>, e.g. TSTL_API_DIR
+ *   4. Command-line options named after the key, e.g. --api-dir <path>
+ *
+ * Options are written `--name value` or `--name=value`. Scripts read their own
+ * arguments from listScriptArgs(), which leaves the config options out.
+ *
+ * Empty values count as unset, and unset keys fall back to the defaults in
+ * SCHEMA. Each script loads only the keys it uses, and loading fails with every
+ * problem listed when a required key is unset or a path is unusable.
+ *
+ * Usage:
+ *   const { loadConfig, printConfig, listScriptArgs } = require('./load-config');
+ *   const config = loadConfig({ required: ['PROJECT_DIR'], optional: ['SYLVANAS_SCRIPTS_DIR'] });
+ *   printConfig(config);
+ *   const args = listScriptArgs();
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPO_ROOT = path.dirname(__dirname);
+const LOCAL_CONFIG_PATH = path.join(__dirname, 'config.local.js');
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'config.js');
+
+const ENV_PREFIX = 'TSTL_';
+const PROFILE_ENV = `${ENV_PREFIX}PROFILE`;
+const PROFILE_OPTION = '--profile';
+
+// ============================================================================
+// Schema
+// ============================================================================
+
+/**
+ * @typedef {Object} ConfigKey
+ * @property {string} description - Shown when the key is missing
+ * @property {'input'|'output'} kind - Inputs must be existing directories, outputs
+ *   writable directories or creatable below a writable one
+ * @property {(values: Record<string, string>) => string} [defaultValue]
+ */
+
+/** @type {Record<string, ConfigKey>} */
+const SCHEMA = {
+  PROJECT_DIR: {
+    description: 'root directory of this project',
+    kind: 'input',
+    defaultValue: () => REPO_ROOT,
+  },
+  API_DIR: {
+    description: 'Sylvanas .api directory',
+    kind: 'input',
+  },
+  TYPES_OUTPUT_DIR: {
+    description: 'where generated TypeScript types are written',
+    kind: 'output',
+    defaultValue: values => path.join(values.PROJECT_DIR ?? REPO_ROOT, 'src', 'types'),
+  },
+  SYLVANAS_SCRIPTS_DIR: {
+    description: 'Sylvanas scripts directory rotations are deployed to',
+    kind: 'output',
+  },
+};
+
+/**
+ * TSTL_API_DIR for API_DIR
+ */
+function toEnvName(key) {
+  return ENV_PREFIX + key;
+}
+
+/**
+ * --api-dir for API_DIR
+ */
+function toOptionName(key) {
+  return '--' + key.toLowerCase().replace(/_/g, '-');
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Check a path against its kind
+ * @returns {string|null} - The problem, or null if the path is usable
+ */
+function checkPath(value, kind) {
+  if (kind === 'input') {
+    if (!fs.existsSync(value)) return `${value} does not exist`;
+    if (!fs.statSync(value).isDirectory()) return `${value} is not a directory`;
+    return null;
+  }
+
+  // Outputs may not exist yet, as long as they can be created
+  let dir = value;
+  while (!fs.existsSync(dir)) {
+    const parent = path.dirname(dir);
+    if (parent === dir) return `${value} cannot be created`;
+    dir = parent;
+  }
+  if (!fs.statSync(dir).isDirectory()) return `${dir} is not a directory`;
+  try {
+    fs.accessSync(dir, fs.constants.W_OK);
+  } catch {
+    return `${dir} is not writable`;
+  }
+  return null;
+}
+
+/**
+ * List config keys that SCHEMA doesn't know, usually typos
+ */
+function findUnknownKeys(values, where) {
+  return Object.keys(values)
+    .filter(key => !(key in SCHEMA))
+    .map(key => `Unknown config key ${key} in ${where}`);
+}
+
+// ============================================================================
+// Loading
+// ============================================================================
+
+/**
+ * Names of every config option
+ */
+function listOptionNames() {
+  return [PROFILE_OPTION, ...Object.keys(SCHEMA).map(toOptionName)];
+}
+
+/**
+ * Split command-line arguments into config options and the rest. A config
+ * option takes its value after `=` or from the next argument.
+ * @param {string[]} argv
+ * @returns {{ options: Map<string, string>, rest: string[], errors: string[] }}
+ */
+function parseConfigArgs(argv) {
+  const names = listOptionNames();
+  const options = new Map();
+  const rest = [];
+  const errors = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const name = names.find(n => arg === n || arg.startsWith(`${n}=`));
+    if (!name) {
+      rest.push(arg);
+    } else if (arg !== name) {
+      options.set(name, arg.slice(name.length + 1));
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options.set(name, argv[++i]);
+    } else {
+      errors.push(`${name} needs a value (${name} <value> or ${name}=<value>)`);
+    }
+  }
+
+  return { options, rest, errors };
+}
+
+/**
+ * Load and validate the configuration
+ * @param {Object} keys
+ * @param {string[]} [keys.required] - Keys the script cannot run without
+ * @param {string[]} [keys.optional] - Keys that are validated only when set
+ * @returns {Record<string, string>} - Absolute paths by key. Where each came from
+ *   and any warnings are kept for printConfig.
+ */
+function loadConfig({ required = [], optional = [] } = {}) {
+  const { options, errors } = parseConfigArgs(process.argv.slice(2));
+  const env = process.env;
+  const warnings = [];
+
+  const configPath = [LOCAL_CONFIG_PATH, DEFAULT_CONFIG_PATH].find(file => fs.existsSync(file));
+  const configName = configPath ? path.relative(REPO_ROOT, configPath) : null;
+  const { profiles = {}, ...fileValues } = configPath ? require(configPath) : {};
+  if (configName) {
+    warnings.push(...findUnknownKeys(fileValues, configName));
+  }
+
+  /** @type {{ name: string, values: Record<string, unknown> }[]} */
+  const layers = [{ name: configName, values: fileValues }];
+
+  const profile = options.get(PROFILE_OPTION) ?? env[PROFILE_ENV];
+  if (profile) {
+    if (!Object.prototype.hasOwnProperty.call(profiles, profile)) {
+      const available = Object.keys(profiles);
+      errors.push(`Unknown profile "${profile}". ${available.length > 0 ? `Profiles: ${available.join(', ')}` : `No profiles are defined in ${configName ?? 'scripts/config.local.js'}`}`);
+    } else {
+      warnings.push(...findUnknownKeys(profiles[profile], `profile ${profile}`));
+      layers.push({ name: `profile ${profile}`, values: profiles[profile] });
+    }
+  }
+
+  layers.push({
+    name: null,
+    values: Object.fromEntries(Object.keys(SCHEMA).map(key => [key, env[toEnvName(key)]])),
+    sourceOf: key => toEnvName(key),
+  });
+  layers.push({
+    name: null,
+    values: Object.fromEntries(Object.keys(SCHEMA).map(key => [key, options.get(toOptionName(key))])),
+    sourceOf: key => toOptionName(key),
+  });
+
+  // Every key is resolved, since defaults may depend on keys the script doesn't use
+  const resolved = {};
+  const sources = {};
+  const invalid = {};
+  for (const key of Object.keys(SCHEMA)) {
+    for (const layer of layers) {
+      const value = layer.values[key];
+      if (value === undefined || value === null || value === '') continue;
+      if (typeof value !== 'string') {
+        invalid[key] = `${key} from ${layer.sourceOf ? layer.sourceOf(key) : layer.name} must be a string`;
+        continue;
+      }
+      resolved[key] = path.resolve(REPO_ROOT, value);
+      sources[key] = layer.sourceOf ? layer.sourceOf(key) : layer.name;
+    }
+  }
+  for (const key of Object.keys(SCHEMA)) {
+    const { defaultValue } = SCHEMA[key];
+    if (resolved[key] === undefined && defaultValue) {
+      resolved[key] = path.resolve(defaultValue(resolved));
+      sources[key] = 'default';
+    }
+  }
+
+  const values = {};
+  for (const key of [...required, ...optional]) {
+    if (invalid[key]) {
+      errors.push(invalid[key]);
+      continue;
+    }
+    if (resolved[key] === undefined) {
+      if (required.includes(key)) {
+        errors.push(
+          `${key} (${SCHEMA[key].description}) is not set. Set it in ${configName ?? 'scripts/config.local.js'}, ` +
+          `with ${toEnvName(key)} or with ${toOptionName(key)} <path>.`
+        );
+      }
+      continue;
+    }
+    values[key] = resolved[key];
+    const problem = checkPath(values[key], SCHEMA[key].kind);
+    if (problem) {
+      errors.push(`${key} (${sources[key]}): ${problem}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    for (const error of errors) {
+      console.error(`ERROR: ${error}`);
+    }
+    if (!configPath) {
+      console.error('Create scripts/config.local.js from scripts/config.js with your paths.');
+    }
+    process.exit(1);
+  }
+
+  Object.defineProperty(values, 'details', {
+    value: { configName, profile, sources, warnings },
+    enumerable: false,
+  });
+  return values;
+}
+
+/**
+ * Print the effective configuration: each value and where it came from
+ * @param {Record<string, string>} config - From loadConfig
+ */
+function printConfig(config) {
+  const { configName, profile, sources, warnings } = config.details;
+  const keyWidth = Math.max(...Object.keys(config).map(key => key.length));
+
+  console.log(`Config: ${configName ?? '(no config file)'}${profile ? `, profile ${profile}` : ''}`);
+  for (const [key, value] of Object.entries(config)) {
+    const source = sources[key] === configName ? '' : `  (${sources[key]})`;
+    console.log(`  ${key.padEnd(keyWidth)}  ${value}${source}`);
+  }
+  for (const warning of warnings) {
+    console.log(`WARNING: ${warning}`);
+  }
+}
+
+/**
+ * The config options this process was started with, as `--name=value`, to pass
+ * on to child processes and workers so they load the same configuration
+ * @returns {string[]}
+ */
+function listConfigArgs() {
+  const { options } = parseConfigArgs(process.argv.slice(2));
+  return [...options].map(([name, value]) => `${name}=${value}`);
+}
+
+/**
+ * The command-line arguments meant for the script itself: everything except
+ * the config options and their values
+ * @returns {string[]}
+ */
+function listScriptArgs() {
+  return parseConfigArgs(process.argv.slice(2)).rest;
+}
+
+module.exports = { loadConfig, printConfig, listConfigArgs, listScriptArgs };
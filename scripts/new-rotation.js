@@ -0,0 +1,274 @@
+/**
+ * Scaffolds a new rotation folder
+ *
+ * Creates src/ext_rotation_<name>/ with a header.ts that only loads for the
+ * chosen class and spec, a main.ts starter rotation and both tsconfigs wired
+ * to the new folder.
+ *
+ * Usage:
+ *   node scripts/new-rotation.js <name> --class=<class> --spec=<spec> [options]
+ *
+ * Options:
+ *   --template=<dps|healer|tank>  Starter rotation (default: the spec's role)
+ *   --title=<text>                Plugin name shown in game (default: "<Spec> <Class>")
+ *   --author=<text>               Plugin author (default: "Your Name")
+ *
+ * Examples:
+ *   node scripts/new-rotation.js hunter_bm --class=hunter --spec=beast_mastery
+ *   node scripts/new-rotation.js monk_mw --class=monk --spec=mistweaver --author=Me
+ *   node scripts/new-rotation.js dk_blood --class=death_knight --spec=blood --template=dps
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, printConfig, listScriptArgs } = require('./load-config');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const config = loadConfig({ required: ['PROJECT_DIR'] });
+const { PROJECT_DIR } = config;
+
+// Derived paths
+const SRC_DIR = path.join(PROJECT_DIR, 'src');
+const TEMPLATE_ROTATION_DIR = path.join(SRC_DIR, 'ext_rotation_template');
+const TEMPLATES_DIR = path.join(__dirname, 'rotation-templates');
+
+const ROTATION_PREFIX = 'ext_rotation_';
+const TEMPLATES = ['dps', 'healer', 'tank'];
+
+// ============================================================================
+// Classes and Specs
+// ============================================================================
+
+/**
+ * Game class IDs and specialization IDs, with the template each spec starts from
+ */
+const CLASSES = {
+  warrior: { name: 'Warrior', id: 1, specs: {
+    arms: { name: 'Arms', id: 71, role: 'dps' },
+    fury: { name: 'Fury', id: 72, role: 'dps' },
+    protection: { name: 'Protection', id: 73, role: 'tank' },
+  } },
+  paladin: { name: 'Paladin', id: 2, specs: {
+    holy: { name: 'Holy', id: 65, role: 'healer' },
+    protection: { name: 'Protection', id: 66, role: 'tank' },
+    retribution: { name: 'Retribution', id: 70, role: 'dps' },
+  } },
+  hunter: { name: 'Hunter', id: 3, specs: {
+    beast_mastery: { name: 'Beast Mastery', id: 253, role: 'dps' },
+    marksmanship: { name: 'Marksmanship', id: 254, role: 'dps' },
+    survival: { name: 'Survival', id: 255, role: 'dps' },
+  } },
+  rogue: { name: 'Rogue', id: 4, specs: {
+    assassination: { name: 'Assassination', id: 259, role: 'dps' },
+    outlaw: { name: 'Outlaw', id: 260, role: 'dps' },
+    subtlety: { name: 'Subtlety', id: 261, role: 'dps' },
+  } },
+  priest: { name: 'Priest', id: 5, specs: {
+    discipline: { name: 'Discipline', id: 256, role: 'healer' },
+    holy: { name: 'Holy', id: 257, role: 'healer' },
+    shadow: { name: 'Shadow', id: 258, role: 'dps' },
+  } },
+  death_knight: { name: 'Death Knight', id: 6, specs: {
+    blood: { name: 'Blood', id: 250, role: 'tank' },
+    frost: { name: 'Frost', id: 251, role: 'dps' },
+    unholy: { name: 'Unholy', id: 252, role: 'dps' },
+  } },
+  shaman: { name: 'Shaman', id: 7, specs: {
+    elemental: { name: 'Elemental', id: 262, role: 'dps' },
+    enhancement: { name: 'Enhancement', id: 263, role: 'dps' },
+    restoration: { name: 'Restoration', id: 264, role: 'healer' },
+  } },
+  mage: { name: 'Mage', id: 8, specs: {
+    arcane: { name: 'Arcane', id: 62, role: 'dps' },
+    fire: { name: 'Fire', id: 63, role: 'dps' },
+    frost: { name: 'Frost', id: 64, role: 'dps' },
+  } },
+  warlock: { name: 'Warlock', id: 9, specs: {
+    affliction: { name: 'Affliction', id: 265, role: 'dps' },
+    demonology: { name: 'Demonology', id: 266, role: 'dps' },
+    destruction: { name: 'Destruction', id: 267, role: 'dps' },
+  } },
+  monk: { name: 'Monk', id: 10, specs: {
+    brewmaster: { name: 'Brewmaster', id: 268, role: 'tank' },
+    windwalker: { name: 'Windwalker', id: 269, role: 'dps' },
+    mistweaver: { name: 'Mistweaver', id: 270, role: 'healer' },
+  } },
+  druid: { name: 'Druid', id: 11, specs: {
+    balance: { name: 'Balance', id: 102, role: 'dps' },
+    feral: { name: 'Feral', id: 103, role: 'dps' },
+    guardian: { name: 'Guardian', id: 104, role: 'tank' },
+    restoration: { name: 'Restoration', id: 105, role: 'healer' },
+  } },
+  demon_hunter: { name: 'Demon Hunter', id: 12, specs: {
+    havoc: { name: 'Havoc', id: 577, role: 'dps' },
+    vengeance: { name: 'Vengeance', id: 581, role: 'tank' },
+  } },
+  evoker: { name: 'Evoker', id: 13, specs: {
+    devastation: { name: 'Devastation', id: 1467, role: 'dps' },
+    preservation: { name: 'Preservation', id: 1468, role: 'healer' },
+    augmentation: { name: 'Augmentation', id: 1473, role: 'dps' },
+  } },
+};
+
+/**
+ * Normalize a class or spec argument ("Death Knight", "death-knight") to its key
+ */
+function toKey(value) {
+  return value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Look up a class and spec, exiting with the valid choices on a miss
+ */
+function resolveSpec(className, specName) {
+  const cls = CLASSES[toKey(className)];
+  if (!cls) {
+    console.error(`ERROR: Unknown class "${className}". Choose one of: ${Object.keys(CLASSES).join(', ')}`);
+    process.exit(1);
+  }
+  const spec = cls.specs[toKey(specName)];
+  if (!spec) {
+    console.error(`ERROR: Unknown ${cls.name} spec "${specName}". Choose one of: ${Object.keys(cls.specs).join(', ')}`);
+    process.exit(1);
+  }
+  return { cls, spec };
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Parse `<name> --key=value ...` into the name and an options object
+ */
+function parseArgs(argv) {
+  const options = {};
+  let name = null;
+  for (const arg of argv) {
+    const match = arg.match(/^--([\w-]+)=(.*)$/);
+    if (match) {
+      options[match[1]] = match[2];
+    } else if (arg.startsWith('--')) {
+      console.error(`ERROR: Option ${arg} needs a value (${arg}=...)`);
+      process.exit(1);
+    } else if (name === null) {
+      name = arg;
+    } else {
+      console.error(`ERROR: Unexpected argument "${arg}"`);
+      process.exit(1);
+    }
+  }
+  return { name, options };
+}
+
+/**
+ * Turn a rotation name into its folder name, with or without the prefix given
+ */
+function toFolderName(name) {
+  const bare = name.startsWith(ROTATION_PREFIX) ? name.slice(ROTATION_PREFIX.length) : name;
+  if (!/^[a-z0-9_]+$/.test(bare)) {
+    console.error(`ERROR: Invalid rotation name "${name}". Use lowercase letters, digits and underscores.`);
+    process.exit(1);
+  }
+  return ROTATION_PREFIX + bare;
+}
+
+/**
+ * Find an existing rotation folder the new one would clash with.
+ * Case-insensitive, as folder names are on Windows.
+ */
+function findClash(folderName) {
+  if (!fs.existsSync(SRC_DIR)) return null;
+  return fs.readdirSync(SRC_DIR)
+    .filter(entry => entry.startsWith(ROTATION_PREFIX))
+    .find(entry => entry.toLowerCase() === folderName.toLowerCase()) ?? null;
+}
+
+/**
+ * Replace every {{KEY}} in a template with its value
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, key) => {
+    if (!(key in values)) {
+      throw new Error(`Unknown template placeholder ${placeholder}`);
+    }
+    return String(values[key]);
+  });
+}
+
+// ============================================================================
+// Scaffolding
+// ============================================================================
+
+/**
+ * Write the new rotation folder
+ */
+function scaffoldRotation(folderName, values, template) {
+  const rotationDir = path.join(SRC_DIR, folderName);
+  fs.mkdirSync(rotationDir, { recursive: true });
+
+  // The template's tsconfigs only name their own folder in outDir
+  for (const file of ['tsconfig.json', 'tsconfig.header.json']) {
+    const content = fs.readFileSync(path.join(TEMPLATE_ROTATION_DIR, file), 'utf-8');
+    fs.writeFileSync(path.join(rotationDir, file), content.replaceAll('ext_rotation_template', folderName));
+  }
+
+  const header = fs.readFileSync(path.join(TEMPLATES_DIR, 'header.ts'), 'utf-8');
+  fs.writeFileSync(path.join(rotationDir, 'header.ts'), fillTemplate(header, values));
+
+  const main = fs.readFileSync(path.join(TEMPLATES_DIR, `${template}.ts`), 'utf-8');
+  fs.writeFileSync(path.join(rotationDir, 'main.ts'), fillTemplate(main, values));
+
+  return rotationDir;
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+function main() {
+  const { name, options } = parseArgs(listScriptArgs());
+
+  if (!name || !options.class || !options.spec) {
+    console.error('Usage: node scripts/new-rotation.js <name> --class=<class> --spec=<spec> [--template=dps|healer|tank] [--title=...] [--author=...]');
+    process.exit(1);
+  }
+
+  const { cls, spec } = resolveSpec(options.class, options.spec);
+  const template = options.template ?? spec.role;
+  if (!TEMPLATES.includes(template)) {
+    console.error(`ERROR: Unknown template "${template}". Choose one of: ${TEMPLATES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const folderName = toFolderName(name);
+  const clash = findClash(folderName);
+  if (clash) {
+    console.error(`ERROR: src/${clash} already exists. Pick another name.`);
+    process.exit(1);
+  }
+
+  printConfig(config);
+
+  const title = options.title ?? `${spec.name} ${cls.name}`;
+  const rotationDir = scaffoldRotation(folderName, {
+    FOLDER: folderName,
+    TITLE: title.replace(/["\\]/g, '\\$&'),
+    AUTHOR: (options.author ?? 'Your Name').replace(/["\\]/g, '\\$&'),
+    CLASS_NAME: cls.name,
+    CLASS_ID: cls.id,
+    SPEC_NAME: spec.name,
+    SPEC_ID: spec.id,
+  }, template);
+
+  console.log(`Created ${path.relative(PROJECT_DIR, rotationDir)} (${template} template, ${spec.name} ${cls.name})`);
+  console.log('');
+  console.log('Next steps:');
+  console.log('  1. Fill in the spell IDs in main.ts');
+  console.log(`  2. npm run build:rotation ${folderName}`);
+}
+
+main();
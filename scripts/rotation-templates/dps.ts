@@ -0,0 +1,56 @@
+/** @noSelfInFile */
+import * as izi from "common/izi_sdk";
+
+// ============================================================================
+// Spells
+// ============================================================================
+
+// Spell IDs in priority order, first castable one wins
+const PRIORITY: number[] = [
+    // TODO: add {{SPEC_NAME}} {{CLASS_NAME}} spell IDs
+];
+
+// ============================================================================
+// Menu
+// ============================================================================
+
+const menuElements = {
+    root: menu.tree_node(),
+    enabled: menu.checkbox(true, "{{FOLDER}}_enabled"),
+};
+
+core.register_on_render_menu_callback(() => {
+    menuElements.root.render("{{TITLE}}", () => {
+        menuElements.enabled.render("Enabled");
+    });
+});
+
+// ============================================================================
+// Rotation
+// ============================================================================
+
+let inCombat = false;
+izi.on_combat_start(() => {
+    inCombat = true;
+});
+izi.on_combat_finish(() => {
+    inCombat = false;
+});
+
+function tryCast(spellId: number, target: game_object): boolean {
+    if (!core.spell_book.is_spell_learned(spellId)) return false;
+    if (core.spell_book.get_spell_cooldown(spellId) > 0) return false;
+    return core.input.cast_target_spell(spellId, target);
+}
+
+core.register_on_update_callback(() => {
+    if (!inCombat || !menuElements.enabled.get_state()) return;
+
+    const me = core.object_manager.get_local_player();
+    const target = me?.get_target();
+    if (me === undefined || target === undefined || target.is_dead()) return;
+
+    for (const spellId of PRIORITY) {
+        if (tryCast(spellId, target)) return;
+    }
+});
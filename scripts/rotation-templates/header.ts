@@ -0,0 +1,19 @@
+/** @noSelfInFile */
+
+// {{CLASS_NAME}} = {{CLASS_ID}}, {{SPEC_NAME}} = {{SPEC_ID}}
+const CLASS_ID = {{CLASS_ID}};
+const SPEC_ID = {{SPEC_ID}};
+
+const player = core.object_manager.get_local_player();
+
+const plugin = {
+    name: "{{TITLE}}",
+    author: "{{AUTHOR}}",
+    version: "1.0.0",
+    description: "{{TITLE}} rotation",
+    load: player !== undefined
+        && player.get_class() === CLASS_ID
+        && core.spell_book.get_specialization_id() === SPEC_ID
+};
+
+export default plugin;
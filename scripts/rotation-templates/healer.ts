@@ -0,0 +1,85 @@
+/** @noSelfInFile */
+import * as izi from "common/izi_sdk";
+
+// ============================================================================
+// Spells
+// ============================================================================
+
+// TODO: add {{SPEC_NAME}} {{CLASS_NAME}} spell IDs
+const SPELLS = {
+    BIG_HEAL: 0,
+    SMALL_HEAL: 0,
+};
+
+// Health percentages below which each heal is used
+const BIG_HEAL_PCT = 40;
+const SMALL_HEAL_PCT = 85;
+
+// Group members farther away than this (yards) are skipped
+const HEAL_RANGE = 40;
+
+// ============================================================================
+// Menu
+// ============================================================================
+
+const menuElements = {
+    root: menu.tree_node(),
+    enabled: menu.checkbox(true, "{{FOLDER}}_enabled"),
+    outOfCombat: menu.checkbox(false, "{{FOLDER}}_out_of_combat"),
+};
+
+core.register_on_render_menu_callback(() => {
+    menuElements.root.render("{{TITLE}}", () => {
+        menuElements.enabled.render("Enabled");
+        menuElements.outOfCombat.render("Heal out of combat");
+    });
+});
+
+// ============================================================================
+// Rotation
+// ============================================================================
+
+let inCombat = false;
+izi.on_combat_start(() => {
+    inCombat = true;
+});
+izi.on_combat_finish(() => {
+    inCombat = false;
+});
+
+function tryCast(spellId: number, target: game_object): boolean {
+    if (!core.spell_book.is_spell_learned(spellId)) return false;
+    if (core.spell_book.get_spell_cooldown(spellId) > 0) return false;
+    return core.input.cast_target_spell(spellId, target);
+}
+
+function healthPct(unit: game_object): number {
+    return unit.get_health() / unit.get_max_health() * 100;
+}
+
+/** The player and the living party or raid members in range, lowest health first */
+function healTargets(me: game_object): game_object[] {
+    const myPosition = me.get_position();
+    const units = [me];
+    for (const unit of core.object_manager.get_all_objects()) {
+        if (unit === me || !unit.is_player() || !unit.is_party_member() || unit.is_dead()) continue;
+        if (unit.get_position().dist_to(myPosition) > HEAL_RANGE) continue;
+        units.push(unit);
+    }
+    units.sort((a, b) => healthPct(a) - healthPct(b));
+    return units;
+}
+
+core.register_on_update_callback(() => {
+    if (!menuElements.enabled.get_state()) return;
+    if (!inCombat && !menuElements.outOfCombat.get_state()) return;
+
+    const me = core.object_manager.get_local_player();
+    if (me === undefined || me.is_dead()) return;
+
+    for (const unit of healTargets(me)) {
+        const pct = healthPct(unit);
+        if (pct < BIG_HEAL_PCT && tryCast(SPELLS.BIG_HEAL, unit)) return;
+        if (pct < SMALL_HEAL_PCT && tryCast(SPELLS.SMALL_HEAL, unit)) return;
+    }
+});